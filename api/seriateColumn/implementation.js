@@ -3,12 +3,23 @@
 var { ExtensionCommon } = ChromeUtils.importESModule(
   "resource://gre/modules/ExtensionCommon.sys.mjs"
 );
+var { ExtensionUtils } = ChromeUtils.importESModule(
+  "resource://gre/modules/ExtensionUtils.sys.mjs"
+);
+var { ExtensionError } = ExtensionUtils;
+
+var RANK_COLUMN_ID = "seriate-rank";
+var CLUSTER_COLUMN_ID = "seriate-cluster";
 
 var seriateColumn = class extends ExtensionCommon.ExtensionAPI {
   constructor(...args) {
     super(...args);
-    /** @type {Map<string, number>} Message-ID -> rank */
+    /** @type {Map<string, Map<string, number>>} Folder URI -> Message-ID -> rank */
     this.ranks = new Map();
+    /** @type {Map<string, Map<string, number>>} Folder URI -> Message-ID -> cluster id */
+    this.clusters = new Map();
+    /** @type {Map<string, Map<string, string>>} Folder URI -> cluster id -> label */
+    this.clusterLabels = new Map();
   }
 
   _getThreadPaneColumns() {
@@ -18,38 +29,98 @@ var seriateColumn = class extends ExtensionCommon.ExtensionAPI {
     return ThreadPaneColumns;
   }
 
+  /**
+   * Resolve a WebExtension MailFolder id ("<accountId>:/<path>") to the
+   * folder URI used by message headers.
+   *
+   * @param {object} context
+   * @param {string} folderId
+   * @returns {string}
+   */
+  _folderURI(context, folderId) {
+    const separator = folderId.indexOf(":/");
+    if (separator === -1) {
+      throw new ExtensionError(`Invalid folder id: ${folderId}`);
+    }
+    const accountId = folderId.slice(0, separator);
+    const path = folderId.slice(separator + 2);
+    const folder = context.extension.folderManager.get(accountId, path);
+    if (!folder) {
+      throw new ExtensionError(`Folder not found: ${folderId}`);
+    }
+    return folder.URI;
+  }
+
+  _rankOf(msgHdr) {
+    return this.ranks.get(msgHdr.folder?.URI)?.get(msgHdr.messageId);
+  }
+
+  _clusterOf(msgHdr) {
+    return this.clusters.get(msgHdr.folder?.URI)?.get(msgHdr.messageId);
+  }
+
+  _clusterLabelOf(msgHdr) {
+    const cluster = this._clusterOf(msgHdr);
+    if (!cluster) return "";
+    return this.clusterLabels.get(msgHdr.folder?.URI)?.get(String(cluster)) ?? `Topic ${cluster}`;
+  }
+
+  /**
+   * @param {object} context
+   * @param {Map<string, Map<string, number | string>>} byFolder
+   * @param {string} folderId
+   * @param {object} values - Keyed by Message-ID or cluster id
+   */
+  _setFolderValues(context, byFolder, folderId, values) {
+    byFolder.set(this._folderURI(context, folderId), new Map(Object.entries(values)));
+  }
+
   _addColumn() {
     const self = this;
     const tpc = this._getThreadPaneColumns();
 
-    tpc.addCustomColumn("seriate-rank", {
+    tpc.addCustomColumn(RANK_COLUMN_ID, {
       name: "Seriate",
       sortable: true,
       resizable: true,
       textCallback(msgHdr) {
-        const rank = self.ranks.get(msgHdr.messageId);
+        const rank = self._rankOf(msgHdr);
         return rank != null ? String(rank) : "";
       },
       sortCallback(msgHdr) {
-        const rank = self.ranks.get(msgHdr.messageId);
+        const rank = self._rankOf(msgHdr);
         return rank != null ? rank : Number.MAX_SAFE_INTEGER;
       },
     });
+
+    tpc.addCustomColumn(CLUSTER_COLUMN_ID, {
+      name: "Topic",
+      sortable: true,
+      resizable: true,
+      textCallback(msgHdr) {
+        return self._clusterLabelOf(msgHdr);
+      },
+      sortCallback(msgHdr) {
+        // No topic sorts last
+        return self._clusterOf(msgHdr) || Number.MAX_SAFE_INTEGER;
+      },
+    });
   }
 
   _removeColumn() {
     try {
       const tpc = this._getThreadPaneColumns();
-      tpc.removeCustomColumn("seriate-rank");
+      tpc.removeCustomColumn(RANK_COLUMN_ID);
+      tpc.removeCustomColumn(CLUSTER_COLUMN_ID);
     } catch (e) {
       // Column may not exist yet
     }
   }
 
-  _refreshColumn() {
+  _refreshColumn(columnId) {
     try {
       const tpc = this._getThreadPaneColumns();
-      tpc.refreshCustomColumn("seriate-rank");
+      tpc.refreshCustomColumn(columnId);
     } catch (e) {
       // Ignore if column doesn't exist
     }
@@ -68,17 +139,41 @@ var seriateColumn = class extends ExtensionCommon.ExtensionAPI {
           self._removeColumn();
         },
 
-        async setRanks(ranks) {
-          self.ranks.clear();
-          for (const [messageId, rank] of Object.entries(ranks)) {
-            self.ranks.set(messageId, rank);
+        async setRanks(folderId, ranks) {
+          self._setFolderValues(context, self.ranks, folderId, ranks);
+          self._refreshColumn(RANK_COLUMN_ID);
+        },
+
+        async getRanks(folderId) {
+          const folderRanks = self.ranks.get(self._folderURI(context, folderId));
+          return Object.fromEntries(folderRanks ?? []);
+        },
+
+        async clearRanks(folderId) {
+          if (folderId == null) {
+            self.ranks.clear();
+          } else {
+            self.ranks.delete(self._folderURI(context, folderId));
           }
-          self._refreshColumn();
+          self._refreshColumn(RANK_COLUMN_ID);
         },
 
-        async clearRanks() {
-          self.ranks.clear();
-          self._refreshColumn();
+        async setClusters(folderId, clusters, labels) {
+          self._setFolderValues(context, self.clusters, folderId, clusters);
+          self._setFolderValues(context, self.clusterLabels, folderId, labels ?? {});
+          self._refreshColumn(CLUSTER_COLUMN_ID);
+        },
+
+        async clearClusters(folderId) {
+          if (folderId == null) {
+            self.clusters.clear();
+            self.clusterLabels.clear();
+          } else {
+            const folderURI = self._folderURI(context, folderId);
+            self.clusters.delete(folderURI);
+            self.clusterLabels.delete(folderURI);
+          }
+          self._refreshColumn(CLUSTER_COLUMN_ID);
         },
       },
     };
@@ -12,7 +12,7 @@ browser.browserAction.onClicked.addListener(() => {
     url: "/popup/popup.html",
     type: "popup",
     width: 360,
-    height: 300,
+    height: 640,
   });
 });
 
@@ -23,6 +23,18 @@ browser.runtime.onMessage.addListener((message) => {
   if (message.action === "seriate") {
     // Fire and forget — results sent back via separate messages
     handleSeriate();
+  } else if (message.action === "clearOrder") {
+    return getDisplayedFolder().then((folder) => clearFolderOrder(folder.id));
+  } else if (message.action === "getAutoSeriate") {
+    return getAutoSeriateState();
+  } else if (message.action === "setAutoSeriate") {
+    return setAutoSeriate(message.folderId, message.enabled);
+  } else if (message.action === "getClusters") {
+    return Promise.resolve(getClusterState(message.folderIds));
+  } else if (message.action === "renameCluster") {
+    return renameCluster(message.folderIds, message.clusterId, message.label);
+  } else if (message.action === "search") {
+    return searchMessages(message);
   }
 });
 
@@ -38,107 +50,1235 @@ function sendStatus(type, text, data) {
   });
 }
 
-async function handleSeriate() {
+/**
+ * Run seriation or clustering in a dedicated worker, forwarding its
+ * progress to the popup. The packed vectors are transferred, not copied.
+ *
+ * @param {"seriate" | "cluster"} task
+ * @param {number[][]} embeddings
+ * @param {SeriationOptions} [options]
+ * @returns {Promise<SeriationResult | Int32Array>}
+ */
+function runInWorker(task, embeddings, options) {
+  const { vectors, n, dim } = normalizeEmbeddings(embeddings);
+
+  const taskName = task === "cluster" ? "Clustering" : "Seriation";
+  return new Promise((resolve, reject) => {
+    const worker = new Worker("/lib/seriation.worker.js");
+    worker.onmessage = (event) => {
+      const { type, text, result, error } = event.data;
+      if (type === "progress") {
+        sendStatus("progress", text);
+        return;
+      }
+      worker.terminate();
+      if (type === "done") {
+        resolve(result);
+      } else {
+        reject(new Error(`${taskName} failed: ${error}`));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(`${taskName} worker crashed: ${event.message}`));
+    };
+    worker.postMessage({ task, vectors, n, dim, options }, [vectors.buffer]);
+  });
+}
+
+/**
+ * Find the active (or first) mail tab, which must display a folder.
+ *
+ * @returns {Promise<object>} MailTab
+ */
+async function getActiveMailTab() {
+  const allMailTabs = await browser.mailTabs.query({});
+  if (!allMailTabs.length) {
+    throw new Error("No mail tabs found.");
+  }
+  const mailTab = allMailTabs.find((t) => t.active) ?? allMailTabs[0];
+  const fullTab = await browser.mailTabs.get(mailTab.id);
+  if (!fullTab.displayedFolder) {
+    throw new Error("No folder selected in mail tab.");
+  }
+  return fullTab;
+}
+
+/**
+ * Find the folder displayed in the active (or first) mail tab.
+ *
+ * @returns {Promise<object>} MailFolder
+ */
+async function getDisplayedFolder() {
+  return (await getActiveMailTab()).displayedFolder;
+}
+
+/**
+ * Return embeddings for all messages, computing and persisting the ones
+ * not cached yet.
+ *
+ * @param {object[]} messages - MessageHeaders
+ * @param {ProviderSettings} provider
+ * @param {EmbeddingModel} model
+ * @returns {Promise<Map<string, number[]>>} headerMessageId -> embedding
+ */
+async function ensureEmbeddings(messages, provider, model) {
+  // Check which messages already have embeddings
+  const messageIds = messages.map((m) => m.headerMessageId);
+  const cachedEmbeddings = await getEmbeddings(messageIds, model);
+
+  const needEmbedding = messages.filter(
+    (m) => !cachedEmbeddings.has(m.headerMessageId)
+  );
+
+  sendStatus("progress", `${cachedEmbeddings.size} cached, ${needEmbedding.length} need embedding.`);
+
+  // Compute missing embeddings
+  if (needEmbedding.length > 0) {
+    const policy = model.chunking;
+
+    sendStatus("progress", `Fetching message bodies (0/${needEmbedding.length})...`);
+    // Flattened chunks across all messages; owners[k] is chunk k's message
+    const texts = [];
+    const tokens = [];
+    const owners = [];
+    const chunkCounts = [];
+    // Threading headers come free with the body, so keep them too
+    const threadHeaders = [];
+    for (let i = 0; i < needEmbedding.length; i++) {
+      const msg = needEmbedding[i];
+      const full = await browser.messages.getFull(msg.id);
+      threadHeaders.push(threadHeadersOf(msg, full));
+      const chunks = extractMessageChunks(msg, full, policy, provider);
+      for (const chunk of chunks) {
+        texts.push(chunk.text);
+        tokens.push(chunk.tokens);
+        owners.push(i);
+      }
+      chunkCounts.push(chunks.length);
+      if ((i + 1) % 10 === 0) {
+        sendStatus("progress", `Fetching message bodies (${i + 1}/${needEmbedding.length})...`);
+      }
+    }
+    await storeThreadHeaders(threadHeaders);
+
+    sendStatus(
+      "progress",
+      `Computing embeddings for ${needEmbedding.length} messages (${texts.length} chunks)...`
+    );
+    /** @type {Map<number, {vectors: number[][], tokens: number[]}>} */
+    const partial = new Map();
+    let embedded = 0;
+    await fetchEmbeddings(provider, texts, {
+      // Persist messages as soon as all their chunks arrive so a failure
+      // later on doesn't throw away work that was already paid for
+      async onBatch(start, vectors) {
+        const entries = [];
+        vectors.forEach((vector, k) => {
+          const owner = owners[start + k];
+          const acc = partial.get(owner) ?? { vectors: [], tokens: [] };
+          acc.vectors.push(vector);
+          acc.tokens.push(tokens[start + k]);
+          partial.set(owner, acc);
+          if (acc.vectors.length === chunkCounts[owner]) {
+            partial.delete(owner);
+            entries.push({
+              messageId: needEmbedding[owner].headerMessageId,
+              embedding: combineChunkEmbeddings(acc.vectors, acc.tokens, policy),
+            });
+          }
+        });
+        if (entries.length === 0) return;
+
+        await storeEmbeddings(entries, model);
+        for (const entry of entries) {
+          cachedEmbeddings.set(entry.messageId, entry.embedding);
+        }
+        embedded += entries.length;
+        sendStatus("progress", `Computed embeddings (${embedded}/${needEmbedding.length})...`);
+      },
+      onStatus: (text) => sendStatus("progress", text),
+    });
+  }
+
+  return cachedEmbeddings;
+}
+
+/**
+ * Return the threading headers (with sender and date) of all messages,
+ * reading and caching the ones not cached yet.
+ *
+ * @param {object[]} messages - MessageHeaders
+ * @returns {Promise<Map<string, ThreadHeaders>>} headerMessageId -> headers
+ */
+async function ensureThreadHeaders(messages) {
+  const headers = await getThreadHeaders(messages.map((m) => m.headerMessageId));
+  const entries = [];
+  // Entries stored before sender and date were kept get them now
+  for (const message of messages) {
+    const entry = headers.get(message.headerMessageId);
+    if (entry && entry.date == null && message.date) {
+      entry.author = message.author ?? null;
+      entry.date = new Date(message.date).getTime();
+      entries.push(entry);
+    }
+  }
+  // Placeholders without an id can't be read
+  const missing = messages.filter((m) => !headers.has(m.headerMessageId) && m.id !== undefined);
+
+  for (let i = 0; i < missing.length; i++) {
+    const message = missing[i];
+    const entry = threadHeadersOf(message, await browser.messages.getFull(message.id));
+    entries.push(entry);
+    headers.set(entry.messageId, entry);
+    if ((i + 1) % 50 === 0) {
+      sendStatus("progress", `Reading thread headers (${i + 1}/${missing.length})...`);
+    }
+  }
+  if (entries.length > 0) await storeThreadHeaders(entries);
+  return headers;
+}
+
+/**
+ * Metadata for the hybrid distance, or undefined when the weights only
+ * use the text vectors. List-Ids are only read when they are weighted.
+ *
+ * @param {object[]} messages - MessageHeaders, one per item
+ * @param {Partial<DistanceWeights>} [weights]
+ * @returns {Promise<PackedMetadata | undefined>}
+ */
+async function distanceMetadata(messages, weights) {
+  if (!isHybridDistance(weights)) return undefined;
+  const headers = weights.list ? await ensureThreadHeaders(messages) : new Map();
+  return packMetadata(
+    messages.map((m) => ({
+      author: m.author,
+      date: m.date,
+      listId: headers.get(m.headerMessageId)?.listId,
+    })),
+    weights
+  );
+}
+
+/**
+ * Convert an ordered list of Message-IDs to 1-based ranks.
+ *
+ * @param {string[]} orderedIds
+ * @returns {Object<string, number>}
+ */
+function ranksFromOrder(orderedIds) {
+  /** @type {Object<string, number>} */
+  const ranks = {};
+  orderedIds.forEach((messageId, position) => {
+    ranks[messageId] = position + 1;
+  });
+  return ranks;
+}
+
+/**
+ * @typedef {object} FolderOrderState
+ * @property {string[]} messageIds - Message-IDs in seriated order
+ * @property {number[] | null} ranks - Rank of each message when the folder
+ *   was seriated together with others; null means 1..n
+ */
+
+/**
+ * Current seriated order per folder. Mirrors the "orders" store in
+ * IndexedDB. Incremental updates extend these instead of reseriating.
+ * @type {Map<string, FolderOrderState>}
+ */
+const folderOrders = new Map();
+
+/**
+ * @param {FolderOrderState} state
+ * @returns {Object<string, number>}
+ */
+function folderRanks({ messageIds, ranks }) {
+  if (!ranks) return ranksFromOrder(messageIds);
+  return Object.fromEntries(messageIds.map((messageId, i) => [messageId, ranks[i]]));
+}
+
+/**
+ * Record a folder's order, persist it, and show it in the column.
+ *
+ * @param {string} folderId
+ * @param {string[]} orderedIds - Message-IDs in seriated order
+ * @param {number[] | null} [ranks] - See FolderOrderState
+ */
+async function applyFolderOrder(folderId, orderedIds, ranks = null) {
+  const state = { messageIds: orderedIds, ranks };
+  folderOrders.set(folderId, state);
+  await storeFolderOrder(folderId, orderedIds, ranks);
+  await browser.seriateColumn.setRanks(folderId, folderRanks(state));
+}
+
+/**
+ * Apply an order of messages that may come from several folders. Each
+ * folder keeps its messages' positions in the whole order as ranks, so
+ * a view listing the folders together (a virtual folder, say) sorts by
+ * the whole order.
+ *
+ * @param {object[]} orderedMessages - MessageHeaders in seriated order
+ */
+async function applyOrder(orderedMessages) {
+  /** @type {Map<string, {messageIds: string[], ranks: number[]}>} */
+  const byFolder = new Map();
+  orderedMessages.forEach((message, position) => {
+    const entry = byFolder.get(message.folder.id) ?? { messageIds: [], ranks: [] };
+    entry.messageIds.push(message.headerMessageId);
+    entry.ranks.push(position + 1);
+    byFolder.set(message.folder.id, entry);
+  });
+  for (const [folderId, { messageIds, ranks }] of byFolder) {
+    await applyFolderOrder(folderId, messageIds, byFolder.size > 1 ? ranks : null);
+  }
+}
+
+/**
+ * @typedef {object} TopicClusters
+ * @property {Object<string, number>} assignments - Message-ID -> cluster id, 0 = no topic
+ * @property {number} nextId - First cluster id unused when it was clustered
+ * @property {Object<number, string>} labels - Cluster id -> computed label
+ * @property {Object<number, string>} renames - Cluster id -> label set by the user
+ */
+
+/**
+ * Current topic clusters per folder. Mirrors the "clusters" store in
+ * IndexedDB.
+ * @type {Map<string, TopicClusters>}
+ */
+const folderClusters = new Map();
+
+// Bodies read per topic when labelling it; other members count by subject
+const LABEL_BODY_SAMPLE = 10;
+
+/**
+ * Labels to show: the user's renames over the computed labels.
+ *
+ * @param {TopicClusters} clusters
+ * @returns {Object<number, string>}
+ */
+function displayLabels(clusters) {
+  return { ...clusters.labels, ...clusters.renames };
+}
+
+/**
+ * Record a folder's clusters, persist them, and show them in the column.
+ *
+ * @param {string} folderId
+ * @param {TopicClusters} clusters
+ */
+async function applyFolderClusters(folderId, clusters) {
+  folderClusters.set(folderId, clusters);
+  await storeFolderClusters(folderId, clusters);
+  await browser.seriateColumn.setClusters(folderId, clusters.assignments, displayLabels(clusters));
+}
+
+/**
+ * Compute a label for every topic from its messages' text and senders.
+ *
+ * @param {object[]} messages - MessageHeaders
+ * @param {Object<string, number>} assignments
+ * @returns {Promise<Object<number, string>>}
+ */
+async function labelTopics(messages, assignments) {
+  const bodiesRead = new Map();
+  /** @type {LabelDocument[]} */
+  const documents = [];
+  for (const message of messages) {
+    const cluster = assignments[message.headerMessageId];
+    if (!cluster) continue;
+    let text = messageHeaderText(message);
+    const read = bodiesRead.get(cluster) ?? 0;
+    if (read < LABEL_BODY_SAMPLE) {
+      bodiesRead.set(cluster, read + 1);
+      text = extractMessageText(message, await browser.messages.getFull(message.id));
+    }
+    documents.push({ cluster, text, author: message.author });
+  }
+  return labelClusters(documents);
+}
+
+/**
+ * Cluster messages into topics and label them, keeping the ids (and so
+ * the renames) of their folders' previous topics where they overlap.
+ * Messages from several folders share one set of topics. New topics get
+ * ids no folder uses yet, so topics of folders seriated apart never
+ * share an id when the viewer shows them together.
+ *
+ * @param {object[]} messages - MessageHeaders
+ * @param {number[][]} embeddings - One per unit
+ * @param {number[][]} [units] - Indices into messages that share a topic,
+ *   such as threads; defaults to each message on its own
+ * @returns {Promise<number>} Number of topics found
+ */
+async function clusterMessages(messages, embeddings, units = messages.map((_, i) => [i])) {
+  const folderIds = [...new Set(messages.map((m) => m.folder.id))];
+  const previous = folderIds.map((id) => folderClusters.get(id)).filter(Boolean);
+
+  const messageIds = messages.map((m) => m.headerMessageId);
+  const unitLabels = await runInWorker("cluster", embeddings);
+  const clusterLabels = new Int32Array(messages.length);
+  units.forEach((unit, u) => {
+    for (const index of unit) clusterLabels[index] = unitLabels[u];
+  });
+  const { assignments, nextId } = stabilizeClusterIds(
+    messageIds,
+    clusterLabels,
+    Object.assign({}, ...previous.map((c) => c.assignments)),
+    Math.max(1, ...[...folderClusters.values()].map((c) => c.nextId))
+  );
+
+  sendStatus("progress", "Labelling topics...");
+  const labels = await labelTopics(messages, assignments);
+  // Renames of topics that no longer exist are dropped
+  const renames = Object.fromEntries(
+    previous.flatMap((c) => Object.entries(c.renames)).filter(([id]) => id in labels)
+  );
+
+  for (const folderId of folderIds) {
+    /** @type {Object<string, number>} */
+    const folderAssignments = {};
+    for (const message of messages) {
+      if (message.folder.id === folderId) {
+        folderAssignments[message.headerMessageId] = assignments[message.headerMessageId];
+      }
+    }
+    await applyFolderClusters(folderId, {
+      assignments: folderAssignments,
+      nextId,
+      labels,
+      renames,
+    });
+  }
+  return Object.keys(labels).length;
+}
+
+/**
+ * Rename a topic in every given folder that has it. Folders seriated
+ * together share topics. An empty label restores the computed one.
+ *
+ * @param {string[]} folderIds
+ * @param {number} clusterId
+ * @param {string} label
+ */
+async function renameCluster(folderIds, clusterId, label) {
+  const trimmed = label?.trim();
+  let renamed = false;
+  for (const folderId of folderIds) {
+    const clusters = folderClusters.get(folderId);
+    if (!clusters || !(clusterId in clusters.labels)) continue;
+    const renames = { ...clusters.renames };
+    if (trimmed) {
+      renames[clusterId] = trimmed;
+    } else {
+      delete renames[clusterId];
+    }
+    await applyFolderClusters(folderId, { ...clusters, renames });
+    renamed = true;
+  }
+  if (!renamed) {
+    throw new Error("That topic no longer exists; seriate again to refresh.");
+  }
+}
+
+/**
+ * Topics of one or more folders, for the viewer.
+ *
+ * @param {string[]} folderIds
+ * @returns {{assignments: Object<string, number>, labels: Object<number, string>} | null}
+ */
+function getClusterState(folderIds) {
+  const states = folderIds.map((id) => folderClusters.get(id)).filter(Boolean);
+  if (states.length === 0) return null;
+  return {
+    assignments: Object.assign({}, ...states.map((c) => c.assignments)),
+    labels: Object.assign({}, ...states.map(displayLabels)),
+  };
+}
+
+/**
+ * Forget a folder's order and topics and clear its column values.
+ *
+ * @param {string} folderId
+ */
+async function clearFolderOrder(folderId) {
+  folderOrders.delete(folderId);
+  folderClusters.delete(folderId);
+  await deleteFolderOrder(folderId);
+  await deleteFolderClusters(folderId);
+  await browser.seriateColumn.clearRanks(folderId);
+  await browser.seriateColumn.clearClusters(folderId);
+}
+
+/**
+ * Whether a folder provably no longer exists: no account lists it.
+ * When that can't be told, such as while accounts are still loading at
+ * startup, the folder counts as present, so stored data is only dropped
+ * for folders that are really gone.
+ *
+ * @param {string} folderId
+ * @returns {Promise<boolean>}
+ */
+async function isFolderGone(folderId) {
   try {
-    const apiKey = (await browser.storage.local.get("apiKey")).apiKey;
-    if (!apiKey) {
-      throw new Error("OpenAI API key not configured. Set it in the popup.");
+    const accounts = await browser.accounts.list(false);
+    // With no accounts listed, they may not have loaded yet
+    if (accounts.length === 0) return false;
+    for (const account of accounts) {
+      if ((await accountFolders(account)).some(({ folder }) => folder.id === folderId)) {
+        return false;
+      }
     }
+    return true;
+  } catch (err) {
+    console.warn(`Seriate: could not check whether folder ${folderId} exists:`, err);
+    return false;
+  }
+}
 
-    // Get the active mail tab with full details
-    sendStatus("progress", "Finding active mail tab...");
-    const allMailTabs = await browser.mailTabs.query({});
-    if (!allMailTabs.length) {
-      throw new Error("No mail tabs found.");
+/**
+ * Load persisted orders into the column after a restart.
+ */
+async function restoreFolderOrders() {
+  for (const { folderId, messageIds, ranks = null } of await getFolderOrders()) {
+    const state = { messageIds, ranks };
+    folderOrders.set(folderId, state);
+    try {
+      await browser.seriateColumn.setRanks(folderId, folderRanks(state));
+    } catch (err) {
+      if (!(await isFolderGone(folderId))) {
+        console.error(`Seriate: could not restore the order of ${folderId}:`, err);
+        continue;
+      }
+      // The folder was deleted or renamed since it was seriated
+      console.warn(`Seriate: dropping order of missing folder ${folderId}:`, err);
+      folderOrders.delete(folderId);
+      await deleteFolderOrder(folderId);
+    }
+  }
+}
+
+/**
+ * Load persisted topic clusters into the column after a restart.
+ */
+async function restoreFolderClusters() {
+  for (const record of await getFolderClusters()) {
+    const { folderId } = record;
+    /** @type {TopicClusters} */
+    const clusters = {
+      assignments: record.assignments,
+      nextId: record.nextId,
+      labels: record.labels ?? {},
+      renames: record.renames ?? {},
+    };
+    folderClusters.set(folderId, clusters);
+    try {
+      await browser.seriateColumn.setClusters(
+        folderId,
+        clusters.assignments,
+        displayLabels(clusters)
+      );
+    } catch (err) {
+      // Keeps the user's topic renames through transient failures
+      if (!(await isFolderGone(folderId))) {
+        console.error(`Seriate: could not restore the topics of ${folderId}:`, err);
+        continue;
+      }
+      console.warn(`Seriate: dropping clusters of missing folder ${folderId}:`, err);
+      folderClusters.delete(folderId);
+      await deleteFolderClusters(folderId);
     }
-    const mailTab = allMailTabs.find((t) => t.active) ?? allMailTabs[0];
-    const fullTab = await browser.mailTabs.get(mailTab.id);
-    if (!fullTab.displayedFolder) {
-      throw new Error("No folder selected in mail tab.");
+  }
+}
+
+restoreFolderOrders().catch((err) =>
+  console.error("Seriate: failed to restore folder orders:", err)
+);
+restoreFolderClusters().catch((err) =>
+  console.error("Seriate: failed to restore folder clusters:", err)
+);
+
+/**
+ * Messages to seriate: the whole displayed folder, the messages selected
+ * in it, the messages the thread pane lists (the quick filter's results,
+ * or a virtual folder's), or every message in a chosen set of folders
+ * and accounts.
+ *
+ * @param {"folder" | "selection" | "listed" | "folders"} scope
+ * @param {FolderSelection} [selection] - For the "folders" scope
+ * @returns {Promise<{messages: object[], description: string}>}
+ */
+async function getScopeMessages(scope, selection = {}) {
+  if (scope === "folders") {
+    const folders = await resolveFolderSelection(selection);
+    if (folders.length === 0) {
+      throw new Error("No folders chosen. Pick some in the Folders section.");
+    }
+    const messages = await readFolderMessages(folders, (folder) =>
+      sendStatus("progress", `Reading messages from ${folder.name}...`)
+    );
+    if (messages.length === 0) {
+      throw new Error("No messages in the chosen folders.");
     }
+    return { messages, description: `messages from ${folders.length} folders` };
+  }
 
-    const folder = fullTab.displayedFolder;
-    sendStatus("progress", `Reading messages from ${folder.name}...`);
+  const mailTab = await getActiveMailTab();
+  const folder = mailTab.displayedFolder;
 
-    // Collect all messages in the folder
-    const messages = [];
-    let page = await browser.messages.list(folder.id);
-    messages.push(...page.messages);
-    while (page.id) {
-      page = await browser.messages.continueList(page.id);
-      messages.push(...page.messages);
+  if (scope === "selection") {
+    sendStatus("progress", "Reading selected messages...");
+    const messages = await readMessageList(await browser.mailTabs.getSelectedMessages(mailTab.id));
+    if (messages.length === 0) {
+      throw new Error("No messages selected.");
     }
+    return { messages, description: "selected messages" };
+  }
 
+  if (scope === "listed") {
+    sendStatus("progress", `Reading messages listed in ${folder.name}...`);
+    const messages = await readMessageList(await browser.mailTabs.getListedMessages(mailTab.id));
     if (messages.length === 0) {
-      throw new Error("No messages in the current folder.");
+      throw new Error("No messages match the current filter.");
     }
+    return { messages, description: `messages listed in ${folder.name}` };
+  }
 
-    sendStatus("progress", `Found ${messages.length} messages. Checking for cached embeddings...`);
+  sendStatus("progress", `Reading messages from ${folder.name}...`);
+  const messages = await readMessageList(await browser.messages.list(folder.id));
+  if (messages.length === 0) {
+    throw new Error("No messages in the current folder.");
+  }
+  return { messages, description: `messages in ${folder.name}` };
+}
 
-    // Check which messages already have embeddings
-    const messageIds = messages.map((m) => m.headerMessageId);
-    const cachedEmbeddings = await getEmbeddings(messageIds);
+/**
+ * Where seriation can start, by seriation.anchor setting.
+ * Each returns an index into the messages (sorted oldest first), or
+ * undefined to start at an end of the path found automatically.
+ */
+const SERIATION_ANCHORS = {
+  auto: () => undefined,
+  newestUnread: (messages) => {
+    const index = messages.findLastIndex((m) => !m.read);
+    return index >= 0 ? index : messages.length - 1;
+  },
+  newest: (messages) => messages.length - 1,
+  oldest: () => 0,
+  selected: async (messages) => {
+    const mailTab = await getActiveMailTab();
+    const [selected] = (await browser.mailTabs.getSelectedMessages(mailTab.id)).messages;
+    const index = selected
+      ? messages.findIndex((m) => m.headerMessageId === selected.headerMessageId)
+      : -1;
+    if (index < 0) {
+      throw new Error("Select the message to start from; it must be among those seriated.");
+    }
+    return index;
+  },
+};
+
+/**
+ * Sort messages oldest first, so seriation sees them in the same order
+ * however the folder happened to list them.
+ *
+ * @param {object[]} messages - MessageHeaders, sorted in place
+ * @returns {object[]}
+ */
+function sortByDate(messages) {
+  return messages.sort((a, b) =>
+    new Date(a.date) - new Date(b.date) || a.headerMessageId.localeCompare(b.headerMessageId)
+  );
+}
+
+async function handleSeriate() {
+  try {
+    const provider = await loadProviderSettings();
+    validateProviderSettings(provider);
+    const model = embeddingModelFor(provider, await loadChunkingPolicy());
+
+    const { seriation = {} } = await browser.storage.local.get("seriation");
+    const algorithmId = seriation.algorithm ?? DEFAULT_SERIATION_ALGORITHM;
+    const algorithm = SERIATION_ALGORITHMS[algorithmId];
+    if (!algorithm) {
+      throw new Error(`Unknown seriation algorithm: ${algorithmId}`);
+    }
 
-    const needEmbedding = messages.filter(
-      (m) => !cachedEmbeddings.has(m.headerMessageId)
+    sendStatus("progress", "Finding messages...");
+    const { messages, description } = await getScopeMessages(
+      seriation.scope ?? "folder",
+      seriation.folderSelection
     );
+    sortByDate(messages);
+    const anchorIndex = await (SERIATION_ANCHORS[seriation.anchor] ?? SERIATION_ANCHORS.auto)(messages);
 
-    sendStatus("progress", `${cachedEmbeddings.size} cached, ${needEmbedding.length} need embedding.`);
-
-    // Compute missing embeddings
-    if (needEmbedding.length > 0) {
-      sendStatus("progress", `Fetching message bodies (0/${needEmbedding.length})...`);
-      const texts = [];
-      for (let i = 0; i < needEmbedding.length; i++) {
-        const msg = needEmbedding[i];
-        const full = await browser.messages.getFull(msg.id);
-        texts.push(extractMessageText(msg, full));
-        if ((i + 1) % 10 === 0) {
-          sendStatus("progress", `Fetching message bodies (${i + 1}/${needEmbedding.length})...`);
-        }
-      }
+    sendStatus("progress", `Found ${messages.length} messages. Checking for cached embeddings...`);
 
-      sendStatus("progress", `Computing embeddings for ${needEmbedding.length} messages...`);
-      const newEmbeddings = await fetchEmbeddings(apiKey, texts);
+    const cachedEmbeddings = await ensureEmbeddings(messages, provider, model);
 
-      const entries = needEmbedding.map((msg, i) => ({
-        messageId: msg.headerMessageId,
-        embedding: newEmbeddings[i],
-      }));
+    // Build embedding array in message order
+    const embeddingArray = messages.map((m) => cachedEmbeddings.get(m.headerMessageId));
 
-      // Store in background (don't await)
-      storeEmbeddings(entries).catch((err) =>
-        console.error("Failed to store embeddings:", err)
+    // In thread mode each thread is seriated as one unit, by the mean
+    // direction of its messages
+    let units = messages.map((_, i) => [i]);
+    let unitEmbeddings = embeddingArray;
+    if (seriation.threads) {
+      sendStatus("progress", "Grouping messages into threads...");
+      units = groupThreads(messages, await ensureThreadHeaders(messages));
+      unitEmbeddings = units.map((unit) =>
+        unit.length === 1 ? embeddingArray[unit[0]] : meanDirection(unit.map((i) => embeddingArray[i]))
       );
+    }
+
+    // A thread's metadata is its latest message's
+    const metadata = await distanceMetadata(
+      units.map((unit) => messages[unit[unit.length - 1]]),
+      seriation.weights
+    );
+
+    const anchorUnit = anchorIndex === undefined
+      ? undefined
+      : units.findIndex((unit) => unit.includes(anchorIndex));
+    sendStatus("progress", `Running seriation (${algorithm.label})...`);
+    const { order, initialLength, finalLength } = await runInWorker("seriate", unitEmbeddings, {
+      algorithm: algorithmId,
+      refine: seriation.refine ?? true,
+      metadata,
+      anchor: anchorUnit,
+    });
+    const change = initialLength > 0 ? (finalLength / initialLength - 1) * 100 : 0;
+    const lengthSummary =
+      `Path length ${initialLength.toFixed(2)} → ${finalLength.toFixed(2)} ` +
+      `(${change > 0 ? "+" : "−"}${Math.abs(change).toFixed(1)}%).`;
+    sendStatus("progress", `Ordered. ${lengthSummary}`);
+
+    sendStatus("progress", "Updating column...");
+    // Messages of a thread stay together, in date order, except that the
+    // anchor message leads its thread so the order really starts there
+    await applyOrder(
+      order.flatMap((u) => {
+        const unit = u === anchorUnit
+          ? [anchorIndex, ...units[u].filter((index) => index !== anchorIndex)]
+          : units[u];
+        return unit.map((index) => messages[index]);
+      })
+    );
+
+    sendStatus("progress", "Finding topics...");
+    const topicCount = await clusterMessages(messages, unitEmbeddings, units);
+
+    const threadSummary = seriation.threads ? ` in ${units.length} threads` : "";
+    sendStatus(
+      "done",
+      `Done. Seriated ${messages.length} ${description}${threadSummary} into ${topicCount} topics.` +
+        `\n${lengthSummary}`,
+      { count: messages.length, topics: topicCount, initialLength, finalLength }
+    );
+  } catch (err) {
+    sendStatus("error", err.message ?? String(err));
+  }
+}
 
-      // Add to cached map
-      for (const entry of entries) {
-        cachedEmbeddings.set(entry.messageId, entry.embedding);
+// Matches ranked when searching every cached folder
+const SEARCH_ALL_LIMIT = 200;
+
+// Matches returned to the caller by default
+const SEARCH_RESULTS_RETURNED = 10;
+
+/**
+ * @typedef {object} SearchResult
+ * @property {string} messageId - Message-ID header value
+ * @property {number} score - Cosine similarity to the query
+ * @property {string} subject
+ * @property {string} author
+ * @property {string} folderName
+ */
+
+/**
+ * Find messages semantically similar to a query. Ranks are written to
+ * the column of every folder with matches; they are not saved, so the
+ * seriated order comes back on the next seriation or restart.
+ *
+ * @param {object} request
+ * @param {string} request.query
+ * @param {"folder" | "all"} [request.scope] - The folder, or every cached message
+ * @param {string[]} [request.folderIds] - Folders for the "folder" scope;
+ *   defaults to the displayed folder
+ * @param {boolean} [request.applyRanks] - Write the ranking to the column
+ * @param {number} [request.limit] - Matches to return
+ * @returns {Promise<{matches: SearchResult[], ranked: number}>}
+ */
+async function searchMessages({
+  query,
+  scope = "folder",
+  folderIds,
+  applyRanks = true,
+  limit = SEARCH_RESULTS_RETURNED,
+}) {
+  if (!query?.trim()) {
+    throw new Error("Enter something to search for.");
+  }
+  const provider = await loadProviderSettings();
+  validateProviderSettings(provider);
+  const model = embeddingModelFor(provider, await loadChunkingPolicy());
+  const queryVector = await embedQuery(provider, query.trim());
+
+  /** @type {Map<string, object[]>} headerMessageId -> MessageHeaders */
+  const headers = new Map();
+  let matches;
+  if (scope === "all") {
+    const top = new TopMatches(Math.max(SEARCH_ALL_LIMIT, limit));
+    await forEachEmbedding(model, (messageId, embedding) =>
+      top.add(messageId, cosineSimilarity(queryVector, embedding))
+    );
+    matches = [];
+    for (const match of top.results()) {
+      const { messages } = await browser.messages.query({ headerMessageId: match.messageId });
+      // Cached vectors outlive deleted messages
+      if (messages.length === 0) continue;
+      headers.set(match.messageId, messages);
+      matches.push(match);
+    }
+  } else {
+    const folders = folderIds
+      ? folderIds.map((id) => ({ id }))
+      : [await getDisplayedFolder()];
+    const messages = await readFolderMessages(folders);
+    for (const message of messages) {
+      const list = headers.get(message.headerMessageId) ?? [];
+      list.push(message);
+      headers.set(message.headerMessageId, list);
+    }
+    const embeddings = await getEmbeddings([...headers.keys()], model);
+    matches = rankBySimilarity(queryVector, embeddings);
+  }
+
+  if (applyRanks) {
+    /** @type {Map<string, string[]>} folderId -> Message-IDs, best first */
+    const byFolder = new Map();
+    for (const { messageId } of matches) {
+      for (const message of headers.get(messageId)) {
+        const ids = byFolder.get(message.folder.id) ?? [];
+        ids.push(messageId);
+        byFolder.set(message.folder.id, ids);
       }
     }
+    for (const [matchFolderId, orderedIds] of byFolder) {
+      await browser.seriateColumn.setRanks(matchFolderId, ranksFromOrder(orderedIds));
+    }
+  }
 
-    sendStatus("progress", "Running seriation...");
+  return {
+    ranked: matches.length,
+    matches: matches.slice(0, limit).map(({ messageId, score }) => {
+      const [message] = headers.get(messageId);
+      return {
+        messageId,
+        score,
+        subject: message.subject,
+        author: message.author,
+        folderName: message.folder.name,
+      };
+    }),
+  };
+}
 
-    // Build embedding array in message order
-    const embeddingArray = messageIds.map((id) => cachedEmbeddings.get(id));
-    const order = seriate(embeddingArray);
+/**
+ * Rank a folder by similarity to one or more of its messages, and
+ * optionally select the closest ones. Like search results, the ranks
+ * are not saved.
+ *
+ * @param {object[]} seeds - MessageHeaders; the first one's folder is ranked
+ * @param {object} tab - Tab the menu was opened in
+ */
+async function moreLikeThis(seeds, tab) {
+  const provider = await loadProviderSettings();
+  validateProviderSettings(provider);
+  const model = embeddingModelFor(provider, await loadChunkingPolicy());
+  const folder = seeds[0].folder;
 
-    // Convert order to ranks
-    /** @type {Object<string, number>} */
-    const ranks = {};
-    for (let position = 0; position < order.length; position++) {
-      const originalIndex = order[position];
-      const messageId = messageIds[originalIndex];
-      ranks[messageId] = position + 1;
+  sendStatus("progress", `Finding messages like ${seeds.length === 1 ? "this one" : "these"}...`);
+  const seedEmbeddings = await ensureEmbeddings(seeds, provider, model);
+  const messages = await readMessageList(await browser.messages.list(folder.id));
+  const embeddings = await getEmbeddings(messages.map((m) => m.headerMessageId), model);
+  const query = meanDirection(seeds.map((m) => seedEmbeddings.get(m.headerMessageId)));
+  const matches = rankBySimilarity(query, embeddings);
+
+  await browser.seriateColumn.setRanks(
+    folder.id,
+    ranksFromOrder(matches.map((m) => m.messageId))
+  );
+
+  const { moreLikeThis: settings = {} } = await browser.storage.local.get("moreLikeThis");
+  const selectTop = settings.selectTop ?? 0;
+  if (selectTop > 0) {
+    // Selection needs a mail tab showing the folder
+    let mailTabId = tab?.type === "mail" ? tab.id : null;
+    if (mailTabId == null) {
+      const mailTabs = await browser.mailTabs.query({});
+      for (const mailTab of mailTabs) {
+        const { displayedFolder } = await browser.mailTabs.get(mailTab.id);
+        if (displayedFolder?.id === folder.id) {
+          mailTabId = mailTab.id;
+          break;
+        }
+      }
+    }
+    if (mailTabId != null) {
+      const idsByMessageId = new Map(messages.map((m) => [m.headerMessageId, m.id]));
+      const top = matches.slice(0, selectTop).map((m) => idsByMessageId.get(m.messageId));
+      await browser.mailTabs.setSelectedMessages(mailTabId, top);
     }
+  }
 
-    sendStatus("progress", "Updating column...");
-    await browser.seriateColumn.setRanks(ranks);
+  sendStatus("done", `Ranked ${matches.length} messages in ${folder.name} by similarity.`);
+}
 
-    sendStatus("done", `Done. Seriated ${messages.length} messages.`, {
-      count: messages.length,
-    });
+const MORE_LIKE_THIS_MENU_ID = "seriate-more-like-this";
+
+browser.menus.create({
+  id: MORE_LIKE_THIS_MENU_ID,
+  title: "More like this",
+  contexts: ["message_list", "page"],
+});
+
+// "page" also matches web content; only offer the entry on messages
+browser.menus.onShown.addListener((info, tab) => {
+  const visible = tab?.type === "mail" || tab?.type === "messageDisplay";
+  browser.menus.update(MORE_LIKE_THIS_MENU_ID, { visible });
+  browser.menus.refresh();
+});
+
+browser.menus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== MORE_LIKE_THIS_MENU_ID) return;
+  try {
+    let seeds;
+    if (info.selectedMessages) {
+      seeds = await readMessageList(info.selectedMessages);
+    } else {
+      const displayed = await browser.messageDisplay.getDisplayedMessages(tab.id);
+      seeds = Array.isArray(displayed) ? displayed : await readMessageList(displayed);
+    }
+    if (seeds.length === 0) return;
+    await moreLikeThis(seeds, tab);
   } catch (err) {
+    console.error("Seriate: more like this failed:", err);
     sendStatus("error", err.message ?? String(err));
   }
+});
+
+/**
+ * @param {string} folderId
+ * @returns {Promise<boolean>}
+ */
+async function isAutoSeriated(folderId) {
+  const { autoSeriateFolders = [] } = await browser.storage.local.get("autoSeriateFolders");
+  return autoSeriateFolders.includes(folderId);
+}
+
+/**
+ * Auto-seriate state of the displayed folder, for the popup.
+ *
+ * @returns {Promise<{folderId: string, folderName: string, enabled: boolean}>}
+ */
+async function getAutoSeriateState() {
+  const folder = await getDisplayedFolder();
+  return {
+    folderId: folder.id,
+    folderName: folder.name,
+    enabled: await isAutoSeriated(folder.id),
+  };
+}
+
+/**
+ * @param {string} folderId
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+async function setAutoSeriate(folderId, enabled) {
+  const { autoSeriateFolders = [] } = await browser.storage.local.get("autoSeriateFolders");
+  const folders = new Set(autoSeriateFolders);
+  if (enabled) {
+    folders.add(folderId);
+  } else {
+    folders.delete(folderId);
+  }
+  await browser.storage.local.set({ autoSeriateFolders: [...folders] });
+}
+
+// Updates to the same folder must not interleave
+/** @type {Map<string, Promise<void>>} */
+const folderUpdateQueues = new Map();
+
+/**
+ * Run `task` after any pending update of the same folder.
+ *
+ * @param {string} folderId
+ * @param {() => Promise<void>} task
+ */
+function queueFolderUpdate(folderId, task) {
+  const previous = folderUpdateQueues.get(folderId) ?? Promise.resolve();
+  const next = previous.then(task).catch((err) =>
+    console.error(`Seriate: incremental update of ${folderId} failed:`, err)
+  );
+  folderUpdateQueues.set(folderId, next);
+}
+
+/**
+ * Place new messages that reply into a thread already in an order right
+ * after that thread's last message, so threads stay contiguous. Threads
+ * made only of new messages are returned for cheapest insertion.
+ *
+ * @param {string[]} orderIds - Message-IDs in their current order
+ * @param {object[]} newMessages - MessageHeaders not in the order yet
+ * @returns {Promise<{attached: Map<number, number[]>, newThreads: number[][]}>}
+ *   attached maps a position in orderIds to the indices into newMessages
+ *   that follow it; newThreads are indices into newMessages
+ */
+async function threadIncoming(orderIds, newMessages) {
+  const headers = await getThreadHeaders(orderIds);
+  for (const [id, entry] of await ensureThreadHeaders(newMessages)) headers.set(id, entry);
+
+  // Messages already placed sort before new ones within a thread
+  const placed = orderIds.map((id) => ({ headerMessageId: id, date: 0 }));
+  const attached = new Map();
+  const newThreads = [];
+  for (const thread of groupThreads([...placed, ...newMessages], headers)) {
+    const olds = thread.filter((index) => index < orderIds.length);
+    const news = thread.filter((index) => index >= orderIds.length).map((index) => index - orderIds.length);
+    if (news.length === 0) continue;
+    if (olds.length === 0) {
+      newThreads.push(news);
+    } else {
+      attached.set(Math.max(...olds), news);
+    }
+  }
+  return { attached, newThreads };
 }
+
+/**
+ * Ranks for a folder's order after messages were inserted into it, in
+ * the rank space of the folder's previous order. Messages already ranked
+ * keep their ranks; each run of new ones is spread over the ranks between
+ * its neighbours, sharing the rank before it where there is no room.
+ *
+ * @param {FolderOrderState} state - The order before the insert
+ * @param {string[]} orderedIds - The order after it, keeping the old
+ *   messages in their order
+ * @returns {number[]}
+ */
+function insertedRanks(state, orderedIds) {
+  const oldRanks = folderRanks(state);
+  const ranks = orderedIds.map((id) => oldRanks[id] ?? null);
+  for (let start = 0; start < ranks.length; start++) {
+    if (ranks[start] != null) continue;
+    let end = start;
+    while (end < ranks.length && ranks[end] == null) end++;
+    const before = start > 0 ? ranks[start - 1] : 0;
+    const count = end - start;
+    // Past the last ranked message there's no upper bound to spread under
+    const after = end < ranks.length ? ranks[end] : before + count + 1;
+    for (let j = 1; j <= count; j++) {
+      ranks[start + j - 1] = Math.max(1, Math.floor(before + ((after - before) * j) / (count + 1)));
+    }
+    start = end;
+  }
+  return ranks;
+}
+
+/**
+ * Insert newly arrived messages into a folder's existing order at the
+ * cheapest positions, without reseriating the folder. A folder that was
+ * seriated together with others keeps its ranks in the whole order, and
+ * new messages are ranked between their neighbours. When threads are
+ * kept together, replies follow their thread and new threads are
+ * inserted as units.
+ *
+ * @param {object} folder - MailFolder
+ * @param {object[]} messages - MessageHeaders that arrived in it
+ */
+async function insertIncoming(folder, messages) {
+  const state = folderOrders.get(folder.id);
+  // Never seriated: there's no order to extend
+  if (!state || !(await isAutoSeriated(folder.id))) return;
+  const order = state.messageIds;
+
+  const known = new Set(order);
+  const incoming = messages.filter((m) => !known.has(m.headerMessageId));
+  if (incoming.length === 0) return;
+
+  const provider = await loadProviderSettings();
+  validateProviderSettings(provider);
+  const model = embeddingModelFor(provider, await loadChunkingPolicy());
+  const { seriation = {} } = await browser.storage.local.get("seriation");
+
+  const newEmbeddings = await ensureEmbeddings(incoming, provider, model);
+  const orderEmbeddings = await getEmbeddings(order, model);
+
+  // Vectors may be missing if the model changed since the last full run.
+  // Those messages can't be placed by distance, so each stays after the
+  // placed message it followed (index -1 for the start of the order).
+  const keptOrder = [];
+  const carried = new Map([[-1, []]]);
+  for (const id of order) {
+    if (orderEmbeddings.has(id)) {
+      keptOrder.push(id);
+      carried.set(keptOrder.length - 1, []);
+    } else {
+      carried.get(keptOrder.length - 1).push(id);
+    }
+  }
+  const newMessages = [...new Map(incoming.map((m) => [m.headerMessageId, m])).values()];
+  const newIds = newMessages.map((m) => m.headerMessageId);
+  const allIds = [...keptOrder, ...newIds];
+  const vectors = [
+    ...keptOrder.map((id) => orderEmbeddings.get(id)),
+    ...newIds.map((id) => newEmbeddings.get(id)),
+  ];
+
+  let attached = new Map();
+  let units = newIds.map((_, i) => [i]);
+  if (seriation.threads) {
+    ({ attached, newThreads: units } = await threadIncoming(keptOrder, newMessages));
+  }
+  // Each new unit is inserted as one item: multi-message threads by the
+  // mean direction of their messages, appended after the messages
+  const unitItems = units.map((unit) => {
+    if (unit.length === 1) return keptOrder.length + unit[0];
+    vectors.push(meanDirection(unit.map((i) => newEmbeddings.get(newIds[i]))));
+    return vectors.length - 1;
+  });
+  const packed = normalizeEmbeddings(vectors);
+  if (isHybridDistance(seriation.weights)) {
+    // The order only keeps Message-IDs; the placed messages' sender and
+    // date come from their stored headers. The folder is only listed to
+    // fill in headers stored before those were kept, which happens once.
+    let stored = await getThreadHeaders(keptOrder);
+    if (keptOrder.some((id) => stored.get(id)?.date == null)) {
+      const kept = new Set(keptOrder);
+      const listed = await readMessageList(await browser.messages.list(folder.id));
+      stored = await ensureThreadHeaders(listed.filter((m) => kept.has(m.headerMessageId)));
+    }
+    const itemMessages = [
+      ...keptOrder.map((id) => ({
+        headerMessageId: id,
+        author: stored.get(id)?.author,
+        date: stored.get(id)?.date,
+      })),
+      ...newMessages,
+      ...units.filter((unit) => unit.length > 1).map((unit) => newMessages[unit[unit.length - 1]]),
+    ];
+    packed.metadata = await distanceMetadata(itemMessages, seriation.weights);
+  }
+  const positions = insertIntoOrder(packed, keptOrder.map((_, i) => i), unitItems);
+
+  const unitOfItem = new Map(unitItems.map((item, u) => [item, units[u]]));
+  const orderedIds = [
+    ...carried.get(-1),
+    ...positions.flatMap((index) => {
+      if (index < keptOrder.length) {
+        return [
+          keptOrder[index],
+          ...(attached.get(index) ?? []).map((i) => newIds[i]),
+          ...carried.get(index),
+        ];
+      }
+      return unitOfItem.get(index).map((i) => newIds[i]);
+    }),
+  ];
+
+  await applyFolderOrder(folder.id, orderedIds, state.ranks && insertedRanks(state, orderedIds));
+
+  // New messages join the topic whose centroid they are nearest to, or
+  // their thread's topic when they reply into one
+  const clusters = folderClusters.get(folder.id);
+  if (clusters) {
+    const labels = allIds.map((id) => clusters.assignments[id] ?? 0);
+    const threadTopics = new Map();
+    for (const [position, news] of attached) {
+      for (const i of news) threadTopics.set(keptOrder.length + i, labels[position]);
+    }
+    const newIndices = newIds.map((_, i) => keptOrder.length + i);
+    assignToClusters(packed, labels, newIndices.filter((index) => !threadTopics.has(index)));
+    const assignments = { ...clusters.assignments };
+    for (const index of newIndices) {
+      assignments[allIds[index]] = threadTopics.get(index) ?? labels[index];
+    }
+    await applyFolderClusters(folder.id, { ...clusters, assignments });
+  }
+  sendStatus("progress", `Inserted ${newIds.length} new messages into ${folder.name}.`);
+}
+
+/**
+ * Drop messages that left a folder from its order.
+ *
+ * @param {string} folderId
+ * @param {Set<string>} messageIds - Message-IDs that left
+ */
+async function removeOutgoing(folderId, messageIds) {
+  const state = folderOrders.get(folderId);
+  if (!state || !(await isAutoSeriated(folderId))) return;
+
+  // Positions of the messages that stay
+  const kept = [];
+  state.messageIds.forEach((id, i) => {
+    if (!messageIds.has(id)) kept.push(i);
+  });
+  if (kept.length === state.messageIds.length) return;
+  await applyFolderOrder(
+    folderId,
+    kept.map((i) => state.messageIds[i]),
+    state.ranks && kept.map((i) => state.ranks[i])
+  );
+
+  const clusters = folderClusters.get(folderId);
+  if (clusters) {
+    const assignments = { ...clusters.assignments };
+    for (const id of messageIds) delete assignments[id];
+    await applyFolderClusters(folderId, { ...clusters, assignments });
+  }
+}
+
+/**
+ * Group messages by the folder they are in.
+ *
+ * @param {object[]} messages - MessageHeaders
+ * @returns {Map<string, {folder: object, messages: object[]}>}
+ */
+function groupByFolder(messages) {
+  const groups = new Map();
+  for (const message of messages) {
+    const group = groups.get(message.folder.id) ?? { folder: message.folder, messages: [] };
+    group.messages.push(message);
+    groups.set(message.folder.id, group);
+  }
+  return groups;
+}
+
+browser.messages.onNewMailReceived.addListener(async (folder, messageList) => {
+  const messages = await readMessageList(messageList);
+  queueFolderUpdate(folder.id, () => insertIncoming(folder, messages));
+}, true);
+
+browser.messages.onMoved.addListener(async (originalMessages, movedMessages) => {
+  const originals = await readMessageList(originalMessages);
+  for (const [folderId, group] of groupByFolder(originals)) {
+    const ids = new Set(group.messages.map((m) => m.headerMessageId));
+    queueFolderUpdate(folderId, () => removeOutgoing(folderId, ids));
+  }
+
+  const moved = await readMessageList(movedMessages);
+  for (const [folderId, group] of groupByFolder(moved)) {
+    queueFolderUpdate(folderId, () => insertIncoming(group.folder, group.messages));
+  }
+});
+
+browser.messages.onDeleted.addListener(async (messageList) => {
+  const deleted = await readMessageList(messageList);
+  for (const [folderId, group] of groupByFolder(deleted)) {
+    const ids = new Set(group.messages.map((m) => m.headerMessageId));
+    queueFolderUpdate(folderId, () => removeOutgoing(folderId, ids));
+  }
+});
@@ -0,0 +1,203 @@
+/**
+ * Token-budget-aware text chunking.
+ * Long messages are split into chunks that fit the provider's input
+ * limit; the chunk embeddings are later combined into one vector.
+ */
+
+/**
+ * @typedef {object} ChunkingPolicy
+ * @property {number} maxTokensPerChunk - Upper bound on estimated tokens per chunk
+ * @property {number} overlapTokens - Tokens repeated from the end of the previous chunk
+ * @property {number} maxChunks - Chunks kept per message, sampled evenly
+ * @property {"weighted-mean" | "mean" | "first"} combine - How chunk vectors become one
+ */
+
+/** @type {ChunkingPolicy} */
+const DEFAULT_CHUNKING_POLICY = {
+  maxTokensPerChunk: 2000,
+  overlapTokens: 100,
+  maxChunks: 8,
+  combine: "weighted-mean",
+};
+
+const CHUNK_COMBINE_MODES = {
+  "weighted-mean": "Mean weighted by length",
+  mean: "Plain mean",
+  first: "First chunk only",
+};
+
+// Leave headroom because token counts are only estimated
+const TOKEN_SAFETY_MARGIN = 0.9;
+
+// CJK scripts run about one token per character; most other text
+// about four characters per token.
+const CJK_CHAR_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate how many tokens a text will use.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  const cjk = text.match(CJK_CHAR_PATTERN)?.length ?? 0;
+  return Math.ceil(cjk + (text.length - cjk) / CHARS_PER_TOKEN);
+}
+
+/**
+ * Merge a stored (partial) policy over the defaults.
+ *
+ * @param {Partial<ChunkingPolicy>} [stored]
+ * @returns {ChunkingPolicy}
+ */
+function resolveChunkingPolicy(stored = {}) {
+  const positive = (value, fallback) =>
+    Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : fallback;
+  return {
+    maxTokensPerChunk: positive(stored.maxTokensPerChunk, DEFAULT_CHUNKING_POLICY.maxTokensPerChunk),
+    overlapTokens: Math.max(0, Number(stored.overlapTokens ?? DEFAULT_CHUNKING_POLICY.overlapTokens) || 0),
+    maxChunks: Math.floor(positive(stored.maxChunks, DEFAULT_CHUNKING_POLICY.maxChunks)),
+    combine: CHUNK_COMBINE_MODES[stored.combine] ? stored.combine : DEFAULT_CHUNKING_POLICY.combine,
+  };
+}
+
+/**
+ * The chunking policy set in the popup.
+ *
+ * @returns {Promise<ChunkingPolicy>}
+ */
+async function loadChunkingPolicy() {
+  const { chunking } = await browser.storage.local.get("chunking");
+  return resolveChunkingPolicy(chunking);
+}
+
+/**
+ * Stable text form of a policy, for keying the vectors it produced.
+ *
+ * @param {ChunkingPolicy} policy
+ * @returns {string}
+ */
+function chunkingPolicyKey(policy) {
+  return `${policy.maxTokensPerChunk}t-${policy.overlapTokens}o-${policy.maxChunks}c-${policy.combine}`;
+}
+
+/**
+ * Split text into pieces no larger than `budget` tokens, preferring
+ * paragraph, then sentence, then hard character boundaries.
+ *
+ * @param {string} text
+ * @param {number} budget
+ * @returns {string[]}
+ */
+function splitPieces(text, budget) {
+  /** @type {string[]} */
+  const pieces = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (!paragraph.trim()) continue;
+    if (estimateTokens(paragraph) <= budget) {
+      pieces.push(paragraph);
+      continue;
+    }
+    for (const sentence of paragraph.split(/(?<=[.!?。！？])\s*/u)) {
+      if (estimateTokens(sentence) <= budget) {
+        pieces.push(sentence);
+        continue;
+      }
+      // Hard cut, sized by this sentence's own tokens-per-char density
+      const charsPerPiece = Math.max(
+        1,
+        Math.floor((sentence.length * budget) / estimateTokens(sentence))
+      );
+      for (let i = 0; i < sentence.length; i += charsPerPiece) {
+        pieces.push(sentence.slice(i, i + charsPerPiece));
+      }
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Split a message body into chunks within the token budget. If there
+ * are more than `maxChunks`, an even sample across the message is kept
+ * so the end of long newsletters still counts.
+ *
+ * @param {string} header - Prepended to every chunk (subject, sender)
+ * @param {string} body
+ * @param {ChunkingPolicy} policy
+ * @param {number} [maxInputTokens] - Provider's hard per-input limit
+ * @returns {{text: string, tokens: number}[]}
+ */
+function chunkMessageText(header, body, policy, maxInputTokens = Infinity) {
+  const headerTokens = estimateTokens(header) + 1;
+  const limit = Math.min(policy.maxTokensPerChunk, maxInputTokens * TOKEN_SAFETY_MARGIN);
+  const budget = Math.max(16, Math.floor(limit - headerTokens));
+  const overlap = Math.min(policy.overlapTokens, Math.floor(budget / 4));
+
+  /** @type {string[][]} */
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  for (const piece of splitPieces(body, budget)) {
+    const tokens = estimateTokens(piece);
+    if (current.length > 0 && currentTokens + tokens > budget) {
+      chunks.push(current);
+      // Carry trailing pieces forward as overlap
+      const carried = [];
+      let carriedTokens = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const t = estimateTokens(current[i]);
+        if (carriedTokens + t > overlap || carriedTokens + t + tokens > budget) break;
+        carried.unshift(current[i]);
+        carriedTokens += t;
+      }
+      current = carried;
+      currentTokens = carriedTokens;
+    }
+    current.push(piece);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) chunks.push(current);
+
+  let kept = chunks;
+  if (chunks.length > policy.maxChunks) {
+    const step = (chunks.length - 1) / Math.max(1, policy.maxChunks - 1);
+    kept = Array.from({ length: policy.maxChunks }, (_, i) => chunks[Math.round(i * step)]);
+  }
+  if (policy.combine === "first") {
+    kept = kept.slice(0, 1);
+  }
+
+  if (kept.length === 0) {
+    return [{ text: header, tokens: headerTokens }];
+  }
+  return kept.map((pieces) => {
+    const text = [header, pieces.join("\n\n")].filter(Boolean).join("\n");
+    return { text, tokens: estimateTokens(text) };
+  });
+}
+
+/**
+ * Combine chunk embeddings into one unit-length vector per message.
+ *
+ * @param {number[][]} vectors
+ * @param {number[]} tokens - Estimated tokens per chunk, same order
+ * @param {ChunkingPolicy} policy
+ * @returns {number[]}
+ */
+function combineChunkEmbeddings(vectors, tokens, policy) {
+  if (vectors.length === 1) return vectors[0];
+
+  const dim = vectors[0].length;
+  const combined = new Array(dim).fill(0);
+  vectors.forEach((vector, i) => {
+    const weight = policy.combine === "weighted-mean" ? tokens[i] : 1;
+    for (let k = 0; k < dim; k++) combined[k] += weight * vector[k];
+  });
+
+  let norm = 0;
+  for (let k = 0; k < dim; k++) norm += combined[k] * combined[k];
+  norm = Math.sqrt(norm) || 1;
+  return combined.map((v) => v / norm);
+}
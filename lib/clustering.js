@@ -0,0 +1,227 @@
+/**
+ * Topic clustering over cached embeddings.
+ * Average-linkage agglomerative clustering (see averageLinkage() in
+ * lib/seriation.js), cut automatically at the widest gap between merge
+ * heights. Large folders are clustered on an even sample, and every
+ * other message is then assigned to the nearest cluster centroid.
+ *
+ * Cluster ids start at 1; 0 means "no topic" (clusters too small to
+ * be worth naming). Ids are matched to a previous run's clusters by
+ * overlap so that they stay stable across reruns.
+ *
+ * This file is also loaded by lib/seriation.worker.js.
+ */
+
+// Largest sample the O(n²) dendrogram is built on
+const CLUSTER_SAMPLE_SIZE = 2000;
+
+// Clusters smaller than this are folded into "no topic"
+const MIN_CLUSTER_SIZE = 3;
+
+// Bounds for the automatic cut
+const MIN_CLUSTERS = 2;
+const MAX_CLUSTERS = 40;
+
+/**
+ * Pick the merge height to cut the dendrogram at: the middle of the
+ * widest gap between consecutive heights, among cuts that leave between
+ * MIN_CLUSTERS and MAX_CLUSTERS clusters.
+ *
+ * @param {Merge[]} merges
+ * @param {number} n - Number of leaves
+ * @returns {number} Merges with height <= this are kept
+ */
+function autoCutHeight(merges, n) {
+  const heights = merges.map((m) => m.height).sort((a, b) => a - b);
+  const maxClusters = Math.min(MAX_CLUSTERS, Math.ceil(Math.sqrt(n) * 2), n);
+  let bestGap = -1;
+  let cut = heights[heights.length - 1] ?? 0;
+
+  // Keeping merges 0..i leaves n - (i + 1) clusters
+  for (let i = 0; i + 1 < heights.length; i++) {
+    const clusters = n - (i + 1);
+    if (clusters > maxClusters || clusters < MIN_CLUSTERS) continue;
+    const gap = heights[i + 1] - heights[i];
+    if (gap > bestGap) {
+      bestGap = gap;
+      cut = (heights[i] + heights[i + 1]) / 2;
+    }
+  }
+  return cut;
+}
+
+/**
+ * Flat clusters from a dendrogram cut at `height`.
+ *
+ * @param {Merge[]} merges
+ * @param {number} n
+ * @param {number} height
+ * @returns {Int32Array} Cluster label per leaf (0-based, arbitrary)
+ */
+function cutDendrogram(merges, n, height) {
+  const parent = Int32Array.from({ length: 2 * n - 1 }, (_, i) => i);
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+  merges.forEach((m, i) => {
+    if (m.height <= height) {
+      parent[find(m.left)] = n + i;
+      parent[find(m.right)] = n + i;
+    }
+  });
+
+  const labels = new Int32Array(n);
+  const ids = new Map();
+  for (let leaf = 0; leaf < n; leaf++) {
+    const root = find(leaf);
+    if (!ids.has(root)) ids.set(root, ids.size);
+    labels[leaf] = ids.get(root);
+  }
+  return labels;
+}
+
+/**
+ * Assign items to the nearest cluster centroid, computed from the items
+ * already labelled. An item further from its nearest centroid than that
+ * cluster's loosest member gets no topic.
+ *
+ * @param {PackedVectors} packed
+ * @param {Int32Array | number[]} labels - Modified in place; 0 = unlabelled
+ * @param {number[]} items - Indices to assign
+ */
+function assignToClusters(packed, labels, items) {
+  const pending = new Set(items);
+  const members = new Map();
+  for (let i = 0; i < packed.n; i++) {
+    if (!labels[i] || pending.has(i)) continue;
+    const list = members.get(labels[i]) ?? [];
+    list.push(i);
+    members.set(labels[i], list);
+  }
+
+  const clusters = [...members].map(([label, list]) => {
+    const centroid = centroidOf(packed, list);
+    let minSimilarity = Infinity;
+    for (const i of list) {
+      minSimilarity = Math.min(minSimilarity, dotCentroid(packed, i, centroid));
+    }
+    return { label, centroid, minSimilarity };
+  });
+
+  for (const i of items) {
+    let best = null;
+    let bestSim = -Infinity;
+    for (const cluster of clusters) {
+      const sim = dotCentroid(packed, i, cluster.centroid);
+      if (sim > bestSim) {
+        bestSim = sim;
+        best = cluster;
+      }
+    }
+    labels[i] = best && bestSim >= best.minSimilarity ? best.label : 0;
+  }
+}
+
+/**
+ * Cluster packed vectors.
+ *
+ * @param {PackedVectors} packed
+ * @param {(text: string) => void} [onProgress]
+ * @returns {Int32Array} Cluster label per item, 1-based; 0 = no topic
+ */
+function clusterVectors(packed, onProgress = () => {}) {
+  const { n } = packed;
+  const labels = new Int32Array(n);
+  if (n < MIN_CLUSTER_SIZE * MIN_CLUSTERS) return labels;
+
+  // Even, deterministic sample for the dendrogram
+  const sampleSize = Math.min(n, CLUSTER_SAMPLE_SIZE);
+  const sample = Array.from({ length: sampleSize }, (_, i) =>
+    Math.floor((i * n) / sampleSize)
+  );
+
+  onProgress(`Clustering ${sampleSize} messages...`);
+  const dist = buildDistanceMatrix(packed, sample);
+  const merges = averageLinkage(dist);
+  const sampleLabels = cutDendrogram(merges, sampleSize, autoCutHeight(merges, sampleSize));
+
+  // Keep clusters large enough to be a topic
+  const members = new Map();
+  sample.forEach((item, k) => {
+    const list = members.get(sampleLabels[k]) ?? [];
+    list.push(item);
+    members.set(sampleLabels[k], list);
+  });
+  const topics = [...members.values()].filter((list) => list.length >= MIN_CLUSTER_SIZE);
+  topics.forEach((list, t) => {
+    for (const item of list) labels[item] = t + 1;
+  });
+
+  if (sampleSize < n) {
+    onProgress(`Assigning ${n - sampleSize} more messages to ${topics.length} topics...`);
+    const sampled = new Set(sample);
+    const rest = [];
+    for (let i = 0; i < n; i++) {
+      if (!sampled.has(i)) rest.push(i);
+    }
+    assignToClusters(packed, labels, rest);
+  }
+
+  return labels;
+}
+
+/**
+ * Renumber clusters so each reuses the id of the previous run's cluster
+ * it overlaps most (largest overlaps matched first). New clusters get
+ * fresh ids.
+ *
+ * @param {string[]} messageIds - Same order as labels
+ * @param {Int32Array | number[]} labels - From clusterVectors()
+ * @param {Object<string, number>} previous - Message-ID -> previous cluster id
+ * @param {number} nextId - First unused id
+ * @returns {{assignments: Object<string, number>, nextId: number}}
+ */
+function stabilizeClusterIds(messageIds, labels, previous, nextId) {
+  // overlap.get(label).get(previousId) = shared messages
+  const overlap = new Map();
+  messageIds.forEach((messageId, i) => {
+    const label = labels[i];
+    const old = previous[messageId];
+    if (!label || !old) return;
+    const row = overlap.get(label) ?? new Map();
+    row.set(old, (row.get(old) ?? 0) + 1);
+    overlap.set(label, row);
+  });
+
+  const pairs = [];
+  for (const [label, row] of overlap) {
+    for (const [old, count] of row) pairs.push({ label, old, count });
+  }
+  pairs.sort((a, b) => b.count - a.count || a.old - b.old);
+
+  const idFor = new Map();
+  const usedOld = new Set();
+  for (const { label, old } of pairs) {
+    if (idFor.has(label) || usedOld.has(old)) continue;
+    idFor.set(label, old);
+    usedOld.add(old);
+  }
+
+  /** @type {Object<string, number>} */
+  const assignments = {};
+  messageIds.forEach((messageId, i) => {
+    const label = labels[i];
+    if (!label) {
+      assignments[messageId] = 0;
+      return;
+    }
+    if (!idFor.has(label)) idFor.set(label, nextId++);
+    assignments[messageId] = idFor.get(label);
+  });
+
+  return { assignments, nextId };
+}
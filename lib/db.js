@@ -1,10 +1,105 @@
 /**
- * IndexedDB storage for email embeddings.
+ * IndexedDB storage for email embeddings, seriated orders, topic
+ * clusters, the threading headers of messages and UMAP layouts.
+ *
+ * Each vector is stored with the provider, model, dimension and
+ * text-extraction version that produced it, keyed by
+ * [modelKey, messageId] so vectors from different models never mix.
  */
 
 const DB_NAME = "seriate";
-const DB_VERSION = 1;
-const STORE_NAME = "embeddings";
+const DB_VERSION = 6;
+const STORE_NAME = "vectors";
+
+// Seriated order per folder, so ranks survive restarts
+const ORDERS_STORE_NAME = "orders";
+
+// Topic cluster per message, per folder
+const CLUSTERS_STORE_NAME = "clusters";
+
+// References / In-Reply-To / List-Id per message, which MessageHeaders lack
+const HEADERS_STORE_NAME = "headers";
+
+// 2D UMAP coordinates per viewer layout (folders, model and parameters)
+const LAYOUTS_STORE_NAME = "layouts";
+
+// v1 store of bare {messageId, embedding} records
+const LEGACY_STORE_NAME = "embeddings";
+
+// Everything stored before v2 came from this model
+const LEGACY_PROVIDER = "openai";
+const LEGACY_MODEL = "text-embedding-3-small";
+
+/**
+ * @typedef {object} EmbeddingModel
+ * @property {string} provider - Provider id, e.g. "openai"
+ * @property {string} model - Model name
+ * @property {number} textVersion - Version of the text extraction pipeline
+ * @property {ChunkingPolicy} [chunking] - How long messages were chunked
+ */
+
+/**
+ * @typedef {object} EmbeddingRecord
+ * @property {string} modelKey - See embeddingModelKey()
+ * @property {string} messageId - Message-ID header value
+ * @property {string} provider
+ * @property {string} model
+ * @property {number} dimension
+ * @property {number} textVersion
+ * @property {number | null} createdAt - Epoch ms, null if unknown
+ * @property {number[]} embedding
+ */
+
+/**
+ * Vectors made under another chunking policy are keyed apart. The default
+ * policy adds nothing, so vectors cached before the policy was part of
+ * the key stay valid.
+ *
+ * @param {EmbeddingModel} model
+ * @returns {string}
+ */
+function embeddingModelKey(model) {
+  const base = `${model.provider}/${model.model}/v${model.textVersion}`;
+  if (!model.chunking) return base;
+  const chunking = chunkingPolicyKey(model.chunking);
+  return chunking === chunkingPolicyKey(DEFAULT_CHUNKING_POLICY) ? base : `${base}/${chunking}`;
+}
+
+/**
+ * Copy v1 records into the v2 store, tagged with the only model
+ * Seriate used at the time, then drop the v1 store.
+ *
+ * @param {IDBTransaction} tx - The versionchange transaction
+ */
+function migrateLegacyEmbeddings(tx) {
+  const legacy = tx.objectStore(LEGACY_STORE_NAME);
+  const store = tx.objectStore(STORE_NAME);
+  const modelKey = embeddingModelKey({
+    provider: LEGACY_PROVIDER,
+    model: LEGACY_MODEL,
+    textVersion: 1,
+  });
+
+  legacy.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      const { messageId, embedding } = cursor.value;
+      store.put({
+        modelKey,
+        messageId,
+        provider: LEGACY_PROVIDER,
+        model: LEGACY_MODEL,
+        dimension: embedding.length,
+        textVersion: 1,
+        createdAt: null,
+        embedding,
+      });
+      cursor.continue();
+    } else {
+      tx.db.deleteObjectStore(LEGACY_STORE_NAME);
+    }
+  };
+}
 
 /**
  * @returns {Promise<IDBDatabase>}
@@ -16,7 +111,25 @@ function openDB() {
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
       if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: "messageId" });
+        const store = db.createObjectStore(STORE_NAME, {
+          keyPath: ["modelKey", "messageId"],
+        });
+        store.createIndex("messageId", "messageId");
+      }
+      if (!db.objectStoreNames.contains(ORDERS_STORE_NAME)) {
+        db.createObjectStore(ORDERS_STORE_NAME, { keyPath: "folderId" });
+      }
+      if (!db.objectStoreNames.contains(CLUSTERS_STORE_NAME)) {
+        db.createObjectStore(CLUSTERS_STORE_NAME, { keyPath: "folderId" });
+      }
+      if (!db.objectStoreNames.contains(HEADERS_STORE_NAME)) {
+        db.createObjectStore(HEADERS_STORE_NAME, { keyPath: "messageId" });
+      }
+      if (!db.objectStoreNames.contains(LAYOUTS_STORE_NAME)) {
+        db.createObjectStore(LAYOUTS_STORE_NAME, { keyPath: "layoutKey" });
+      }
+      if (db.objectStoreNames.contains(LEGACY_STORE_NAME)) {
+        migrateLegacyEmbeddings(request.transaction);
       }
     };
 
@@ -25,16 +138,29 @@ function openDB() {
   });
 }
 
+/**
+ * Key range covering every record of one model.
+ *
+ * @param {EmbeddingModel} model
+ * @returns {IDBKeyRange}
+ */
+function modelKeyRange(model) {
+  const modelKey = embeddingModelKey(model);
+  // Arrays sort after strings, so [modelKey, []] bounds every messageId
+  return IDBKeyRange.bound([modelKey], [modelKey, []]);
+}
+
 /**
  * @param {string} messageId - Message-ID header value
+ * @param {EmbeddingModel} model
  * @returns {Promise<number[] | null>} Embedding vector or null
  */
-async function getEmbedding(messageId) {
+async function getEmbedding(messageId, model) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_NAME, "readonly");
     const store = tx.objectStore(STORE_NAME);
-    const request = store.get(messageId);
+    const request = store.get([embeddingModelKey(model), messageId]);
     request.onsuccess = () => resolve(request.result?.embedding ?? null);
     request.onerror = () => reject(request.error);
   });
@@ -42,9 +168,10 @@ async function getEmbedding(messageId) {
 
 /**
  * @param {string[]} messageIds
+ * @param {EmbeddingModel} model - Only vectors from this model are returned
  * @returns {Promise<Map<string, number[]>>} Map of messageId -> embedding
  */
-async function getEmbeddings(messageIds) {
+async function getEmbeddings(messageIds, model) {
   const db = await openDB();
   const needed = new Set(messageIds);
   const results = new Map();
@@ -52,7 +179,7 @@ async function getEmbeddings(messageIds) {
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_NAME, "readonly");
     const store = tx.objectStore(STORE_NAME);
-    const request = store.openCursor();
+    const request = store.openCursor(modelKeyRange(model));
 
     request.onsuccess = (event) => {
       const cursor = event.target.result;
@@ -69,19 +196,246 @@ async function getEmbeddings(messageIds) {
   });
 }
 
+/**
+ * Visit every stored vector of one model without loading them all at once.
+ *
+ * @param {EmbeddingModel} model
+ * @param {(messageId: string, embedding: number[]) => void} callback
+ * @returns {Promise<void>}
+ */
+async function forEachEmbedding(model, callback) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, "readonly");
+    const request = tx.objectStore(STORE_NAME).openCursor(modelKeyRange(model));
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        callback(cursor.value.messageId, cursor.value.embedding);
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * @param {Array<{messageId: string, embedding: number[]}>} entries
+ * @param {EmbeddingModel} model - Model that produced the vectors
  * @returns {Promise<void>}
  */
-async function storeEmbeddings(entries) {
+async function storeEmbeddings(entries, model) {
   const db = await openDB();
+  const modelKey = embeddingModelKey(model);
+  const createdAt = Date.now();
+
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_NAME, "readwrite");
     const store = tx.objectStore(STORE_NAME);
     for (const entry of entries) {
-      store.put(entry);
+      /** @type {EmbeddingRecord} */
+      const record = {
+        modelKey,
+        messageId: entry.messageId,
+        provider: model.provider,
+        model: model.model,
+        dimension: entry.embedding.length,
+        textVersion: model.textVersion,
+        createdAt,
+        embedding: entry.embedding,
+      };
+      store.put(record);
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * @typedef {object} FolderOrder
+ * @property {string} folderId - WebExtension MailFolder id
+ * @property {string[]} messageIds - Message-IDs in seriated order
+ * @property {number[] | null} [ranks] - Rank of each message when the
+ *   folder was seriated together with others; null means 1..n
+ * @property {number} updatedAt - Epoch ms
+ */
+
+/**
+ * @param {string} folderId
+ * @param {string[]} messageIds - Message-IDs in seriated order
+ * @param {number[] | null} [ranks] - See FolderOrder
+ * @returns {Promise<void>}
+ */
+async function storeFolderOrder(folderId, messageIds, ranks = null) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ORDERS_STORE_NAME, "readwrite");
+    tx.objectStore(ORDERS_STORE_NAME).put({
+      folderId,
+      messageIds,
+      ranks,
+      updatedAt: Date.now(),
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * @returns {Promise<FolderOrder[]>} Every stored folder order
+ */
+async function getFolderOrders() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ORDERS_STORE_NAME, "readonly");
+    const request = tx.objectStore(ORDERS_STORE_NAME).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {string} folderId
+ * @returns {Promise<void>}
+ */
+async function deleteFolderOrder(folderId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ORDERS_STORE_NAME, "readwrite");
+    tx.objectStore(ORDERS_STORE_NAME).delete(folderId);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * @typedef {object} FolderClusters
+ * @property {string} folderId - WebExtension MailFolder id
+ * @property {Object<string, number>} assignments - Message-ID -> cluster id, 0 = no topic
+ * @property {number} nextId - First cluster id no folder used when it was clustered
+ * @property {Object<number, string>} labels - Cluster id -> computed label
+ * @property {Object<number, string>} renames - Cluster id -> label set by the user
+ * @property {number} updatedAt - Epoch ms
+ */
+
+/**
+ * @param {string} folderId
+ * @param {Omit<FolderClusters, "folderId" | "updatedAt">} clusters
+ * @returns {Promise<void>}
+ */
+async function storeFolderClusters(folderId, clusters) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CLUSTERS_STORE_NAME, "readwrite");
+    tx.objectStore(CLUSTERS_STORE_NAME).put({
+      folderId,
+      assignments: clusters.assignments,
+      nextId: clusters.nextId,
+      labels: clusters.labels,
+      renames: clusters.renames,
+      updatedAt: Date.now(),
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * @returns {Promise<FolderClusters[]>} Every stored folder's clusters
+ */
+async function getFolderClusters() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CLUSTERS_STORE_NAME, "readonly");
+    const request = tx.objectStore(CLUSTERS_STORE_NAME).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {string} folderId
+ * @returns {Promise<void>}
+ */
+async function deleteFolderClusters(folderId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CLUSTERS_STORE_NAME, "readwrite");
+    tx.objectStore(CLUSTERS_STORE_NAME).delete(folderId);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * @param {ThreadHeaders[]} entries
+ * @returns {Promise<void>}
+ */
+async function storeThreadHeaders(entries) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HEADERS_STORE_NAME, "readwrite");
+    const store = tx.objectStore(HEADERS_STORE_NAME);
+    for (const entry of entries) store.put(entry);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * @param {string[]} messageIds
+ * @returns {Promise<Map<string, ThreadHeaders>>} Only messages with stored headers
+ */
+async function getThreadHeaders(messageIds) {
+  const db = await openDB();
+  const results = new Map();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HEADERS_STORE_NAME, "readonly");
+    const store = tx.objectStore(HEADERS_STORE_NAME);
+    for (const messageId of new Set(messageIds)) {
+      store.get(messageId).onsuccess = (event) => {
+        if (event.target.result) results.set(messageId, event.target.result);
+      };
     }
+    tx.oncomplete = () => resolve(results);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * @typedef {object} StoredLayout
+ * @property {string} layoutKey - Folders, model and UMAP parameters
+ * @property {Object<string, number[]>} positions - Point key -> raw UMAP [x, y]
+ * @property {number} updatedAt
+ */
+
+/**
+ * @param {string} layoutKey
+ * @param {Object<string, number[]>} positions
+ * @returns {Promise<void>}
+ */
+async function storeLayout(layoutKey, positions) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LAYOUTS_STORE_NAME, "readwrite");
+    tx.objectStore(LAYOUTS_STORE_NAME).put({ layoutKey, positions, updatedAt: Date.now() });
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
 }
+
+/**
+ * @param {string} layoutKey
+ * @returns {Promise<StoredLayout | undefined>}
+ */
+async function getLayout(layoutKey) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LAYOUTS_STORE_NAME, "readonly");
+    const request = tx.objectStore(LAYOUTS_STORE_NAME).get(layoutKey);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
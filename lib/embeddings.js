@@ -1,60 +1,296 @@
 /**
- * OpenAI embeddings client.
+ * Embeddings client. Talks to whichever provider is configured
+ * (see lib/providers.js).
  */
 
-const EMBEDDING_MODEL = "text-embedding-3-small";
-const EMBEDDING_BATCH_SIZE = 100;
+// Bump whenever extractMessageText() output changes, so cached vectors
+// built from the old text are no longer used.
+const TEXT_VERSION = 3;
 
 /**
- * Fetch embeddings for a batch of texts from the OpenAI API.
+ * Identify the model the given provider settings will embed with, and
+ * how long messages are chunked for it.
+ *
+ * @param {ProviderSettings} settings
+ * @param {ChunkingPolicy} chunking - See loadChunkingPolicy()
+ * @returns {EmbeddingModel}
+ */
+function embeddingModelFor(settings, chunking) {
+  return {
+    provider: settings.id,
+    model: settings.model,
+    textVersion: TEXT_VERSION,
+    chunking,
+  };
+}
+
+/** @type {Worker | null} */
+let localEmbedder = null;
+let localRequestId = 0;
+/** @type {Map<number, {resolve: Function, reject: Function}>} */
+const pendingLocalRequests = new Map();
+
+/**
+ * Embed texts with the on-device worker.
  *
- * @param {string} apiKey
  * @param {string[]} texts
- * @returns {Promise<number[][]>} Array of embedding vectors, same order as texts
+ * @returns {Promise<number[][]>}
  */
-async function fetchEmbeddings(apiKey, texts) {
-  /** @type {number[][]} */
-  const allEmbeddings = [];
+function embedLocally(texts) {
+  if (!localEmbedder) {
+    localEmbedder = new Worker("/lib/local-embedder.worker.js");
+    localEmbedder.onmessage = (event) => {
+      const { id, vectors, error } = event.data;
+      const pending = pendingLocalRequests.get(id);
+      if (!pending) return;
+      pendingLocalRequests.delete(id);
+      if (error) {
+        pending.reject(new Error(`On-device embedding failed: ${error}`));
+      } else {
+        pending.resolve(vectors);
+      }
+    };
+    // A worker that fails to load or crashes never replies, so fail
+    // everything waiting on it and start a fresh one next time
+    localEmbedder.onerror = localEmbedder.onmessageerror = (event) => {
+      event.preventDefault?.();
+      const error = new Error(`On-device embedding failed: ${event.message || "worker error"}`);
+      localEmbedder.terminate();
+      localEmbedder = null;
+      for (const pending of pendingLocalRequests.values()) pending.reject(error);
+      pendingLocalRequests.clear();
+    };
+  }
+
+  const id = ++localRequestId;
+  return new Promise((resolve, reject) => {
+    pendingLocalRequests.set(id, { resolve, reject });
+    localEmbedder.postMessage({ id, texts });
+  });
+}
+
+// Retry policy for rate limits and transient server errors
+const MAX_RETRIES = 6;
+const INITIAL_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+// A server asking to wait longer than this is not waited for
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// A single input rejected as too long is cut to this fraction and resent
+const OVERSIZED_TRUNCATE_RATIO = 0.5;
+const MIN_TRUNCATED_LENGTH = 200;
+
+const OVERSIZED_INPUT_PATTERN =
+  /maximum context length|too many tokens|context_length_exceeded|input is too long|too large/i;
+
+/**
+ * Error from an embeddings endpoint, with enough detail to decide
+ * whether and when to retry.
+ */
+class EmbeddingApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - HTTP status, 0 for network failures
+   * @param {string} body - Response body
+   * @param {number | null} retryAfterMs - From the Retry-After header
+   */
+  constructor(message, status, body, retryAfterMs) {
+    super(message);
+    this.name = "EmbeddingApiError";
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return this.status === 0 || this.status === 408 || this.status === 429 ||
+      this.status >= 500;
+  }
+
+  get inputTooLarge() {
+    return this.status === 413 ||
+      (this.status === 400 && OVERSIZED_INPUT_PATTERN.test(this.body));
+  }
+}
 
-  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
-    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
-    const response = await fetch("https://api.openai.com/v1/embeddings", {
+/**
+ * Parse a Retry-After header (seconds or HTTP date).
+ *
+ * @param {string | null} header
+ * @returns {number | null} Delay in ms
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Send one batch to a remote provider.
+ *
+ * @param {ProviderSettings} settings
+ * @param {string[]} batch
+ * @returns {Promise<number[][]>}
+ * @throws {EmbeddingApiError}
+ */
+async function requestEmbeddings(settings, batch) {
+  const provider = EMBEDDING_PROVIDERS[settings.id];
+  let response;
+  try {
+    response = await fetch(provider.url(settings), {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: EMBEDDING_MODEL,
-        input: batch,
-      }),
+      headers: providerHeaders(settings),
+      body: JSON.stringify(provider.body(settings, batch)),
     });
+  } catch (err) {
+    throw new EmbeddingApiError(
+      `${provider.label} request failed: ${err.message}`, 0, "", null
+    );
+  }
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new EmbeddingApiError(
+      `${provider.label} API error ${response.status}: ${body}`,
+      response.status,
+      body,
+      parseRetryAfter(response.headers.get("Retry-After"))
+    );
+  }
+
+  return provider.parse(await response.json());
+}
 
-    if (!response.ok) {
-      const body = await response.text();
-      throw new Error(`OpenAI API error ${response.status}: ${body}`);
+/**
+ * Send one batch, retrying rate limits and transient failures with
+ * exponential backoff. Retry-After takes precedence when present, up to
+ * MAX_RETRY_AFTER_MS; a longer wait fails the batch instead.
+ *
+ * @param {ProviderSettings} settings
+ * @param {string[]} batch
+ * @param {(text: string) => void} onStatus
+ * @returns {Promise<number[][]>}
+ */
+async function requestWithRetry(settings, batch, onStatus) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestEmbeddings(settings, batch);
+    } catch (err) {
+      if (!(err instanceof EmbeddingApiError) || !err.retryable || attempt >= MAX_RETRIES) {
+        throw err;
+      }
+      if (err.retryAfterMs > MAX_RETRY_AFTER_MS) {
+        throw new Error(
+          `${err.status === 429 ? "Rate limited" : "Request failed"} and asked to wait ` +
+          `${Math.ceil(err.retryAfterMs / 60000)} minutes before retrying; try again later.`
+        );
+      }
+      const backoff = Math.min(MAX_BACKOFF_MS, INITIAL_BACKOFF_MS * 2 ** attempt);
+      // Jitter keeps parallel clients from retrying in lockstep
+      const delay = err.retryAfterMs ?? backoff * (0.5 + Math.random() / 2);
+      onStatus(
+        `${err.status === 429 ? "Rate limited" : "Request failed"}; ` +
+        `retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 2}/${MAX_RETRIES + 1})...`
+      );
+      await sleep(delay);
     }
+  }
+}
 
-    const data = await response.json();
-    // Response data is sorted by index, but sort explicitly to be safe
-    const sorted = data.data.sort((a, b) => a.index - b.index);
-    for (const item of sorted) {
-      allEmbeddings.push(item.embedding);
+/**
+ * Embed a batch, splitting it when the provider rejects it as too
+ * large. A single oversized input is truncated and resent.
+ *
+ * @param {ProviderSettings} settings
+ * @param {string[]} batch
+ * @param {(text: string) => void} onStatus
+ * @returns {Promise<number[][]>}
+ */
+async function embedBatch(settings, batch, onStatus) {
+  try {
+    return await requestWithRetry(settings, batch, onStatus);
+  } catch (err) {
+    if (!(err instanceof EmbeddingApiError) || !err.inputTooLarge) throw err;
+
+    if (batch.length > 1) {
+      const half = Math.ceil(batch.length / 2);
+      onStatus(`Batch too large; splitting into ${half} + ${batch.length - half}...`);
+      const first = await embedBatch(settings, batch.slice(0, half), onStatus);
+      const second = await embedBatch(settings, batch.slice(half), onStatus);
+      return first.concat(second);
+    }
+
+    const text = batch[0];
+    const truncated = text.slice(0, Math.floor(text.length * OVERSIZED_TRUNCATE_RATIO));
+    if (truncated.length < MIN_TRUNCATED_LENGTH) throw err;
+    onStatus(`Input too long; retrying with the first ${truncated.length} characters...`);
+    return embedBatch(settings, [truncated], onStatus);
+  }
+}
+
+/**
+ * Fetch embeddings for a batch of texts from the configured provider.
+ * Each batch is handed to `onBatch` as soon as it arrives, so callers
+ * can persist partial progress before a later batch fails.
+ *
+ * @param {ProviderSettings} settings
+ * @param {string[]} texts
+ * @param {object} [callbacks]
+ * @param {(start: number, vectors: number[][]) => Promise<void> | void} [callbacks.onBatch]
+ *   Called with the index of the batch's first text and its vectors
+ * @param {(text: string) => void} [callbacks.onStatus] - Retry notices
+ * @returns {Promise<number[][]>} Array of embedding vectors, same order as texts
+ */
+async function fetchEmbeddings(settings, texts, { onBatch, onStatus = () => {} } = {}) {
+  const provider = EMBEDDING_PROVIDERS[settings.id];
+  /** @type {number[][]} */
+  const allEmbeddings = [];
+
+  for (let i = 0; i < texts.length; i += settings.batchSize) {
+    const batch = texts.slice(i, i + settings.batchSize);
+    const vectors = provider.local
+      ? await embedLocally(batch)
+      : await embedBatch(settings, batch, onStatus);
+
+    if (vectors.length !== batch.length) {
+      throw new Error(
+        `${provider.label} returned ${vectors.length} embeddings for ${batch.length} inputs.`
+      );
+    }
+    if (onBatch) {
+      await onBatch(i, vectors);
     }
+    allEmbeddings.push(...vectors);
   }
 
   return allEmbeddings;
 }
 
 /**
- * Extract plain text from a message for embedding.
- * Combines subject, sender, and body text.
+ * Embed a search query with the configured provider.
+ *
+ * @param {ProviderSettings} settings
+ * @param {string} query
+ * @returns {Promise<number[]>}
+ */
+async function embedQuery(settings, query) {
+  const [vector] = await fetchEmbeddings({ ...settings, inputType: "query" }, [query]);
+  return vector;
+}
+
+/**
+ * Subject and sender lines that lead every chunk of a message.
  *
  * @param {object} message - WebExtension MessageHeader
- * @param {object} fullMessage - Result of messages.getFull()
  * @returns {string}
  */
-function extractMessageText(message, fullMessage) {
+function messageHeaderText(message) {
   const parts = [];
 
   if (message.subject) {
@@ -64,37 +300,37 @@ function extractMessageText(message, fullMessage) {
     parts.push(`From: ${message.author}`);
   }
 
-  const bodyText = extractBodyText(fullMessage);
-  if (bodyText) {
-    // Truncate to ~8000 chars to stay within token limits
-    parts.push(bodyText.slice(0, 8000));
-  }
-
   return parts.join("\n");
 }
 
 /**
- * Recursively extract text content from a MIME message part tree.
+ * Extract plain text from a message.
+ * Combines subject, sender, and the full body text.
  *
- * @param {object} part - MessagePart from messages.getFull()
+ * @param {object} message - WebExtension MessageHeader
+ * @param {object} fullMessage - Result of messages.getFull()
  * @returns {string}
  */
-function extractBodyText(part) {
-  if (part.contentType === "text/plain" && part.body) {
-    return part.body;
-  }
-
-  if (part.contentType === "text/html" && part.body) {
-    // Strip HTML tags for a rough plain-text extraction
-    return part.body.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
-  }
-
-  if (part.parts) {
-    for (const child of part.parts) {
-      const text = extractBodyText(child);
-      if (text) return text;
-    }
-  }
+function extractMessageText(message, fullMessage) {
+  return [messageHeaderText(message), extractBodyText(fullMessage)]
+    .filter(Boolean)
+    .join("\n");
+}
 
-  return "";
+/**
+ * Split a message into embedding inputs that fit the provider's limit.
+ *
+ * @param {object} message - WebExtension MessageHeader
+ * @param {object} fullMessage - Result of messages.getFull()
+ * @param {ChunkingPolicy} policy
+ * @param {ProviderSettings} settings
+ * @returns {{text: string, tokens: number}[]}
+ */
+function extractMessageChunks(message, fullMessage, policy, settings) {
+  return chunkMessageText(
+    messageHeaderText(message),
+    extractBodyText(fullMessage),
+    policy,
+    EMBEDDING_PROVIDERS[settings.id].maxInputTokens
+  );
 }
@@ -0,0 +1,100 @@
+/**
+ * Folder and account helpers shared by the background page, popup and
+ * viewer, so they all resolve the user's folder choice the same way.
+ */
+
+// Folders left out when a whole account is included
+const SKIPPED_SPECIAL_USES = new Set(["trash", "junk"]);
+
+/**
+ * @typedef {object} FolderSelection
+ * @property {string[]} accounts - Account ids whose folders are all included
+ * @property {string[]} folders - Individually chosen folder ids
+ */
+
+/**
+ * Read every message of a paged MessageList.
+ *
+ * @param {object} page - MessageList
+ * @returns {Promise<object[]>} MessageHeaders
+ */
+async function readMessageList(page) {
+  const messages = [...page.messages];
+  while (page.id) {
+    page = await browser.messages.continueList(page.id);
+    messages.push(...page.messages);
+  }
+  return messages;
+}
+
+/**
+ * Depth-first list of folders and their subfolders.
+ *
+ * @param {object[]} folders - MailFolders with subFolders
+ * @param {number} [depth]
+ * @returns {{folder: object, depth: number}[]}
+ */
+function flattenFolders(folders, depth = 0) {
+  return folders.flatMap((folder) => [
+    { folder, depth },
+    ...flattenFolders(folder.subFolders ?? [], depth + 1),
+  ]);
+}
+
+/**
+ * Every folder of an account, in tree order.
+ *
+ * @param {object} account - MailAccount
+ * @returns {Promise<{folder: object, depth: number}[]>}
+ */
+async function accountFolders(account) {
+  const roots = await browser.folders.getSubFolders(account, true);
+  return flattenFolders(roots);
+}
+
+/**
+ * Resolve a folder choice to the folders it covers, without duplicates.
+ * Whole accounts leave out trash, junk and virtual folders, whose
+ * messages live in other folders too.
+ *
+ * @param {FolderSelection} selection
+ * @returns {Promise<object[]>} MailFolders
+ */
+async function resolveFolderSelection(selection) {
+  const byId = new Map();
+  for (const accountId of selection.accounts ?? []) {
+    const account = await browser.accounts.get(accountId, false);
+    // The account may have been removed since it was chosen
+    if (!account) continue;
+    for (const { folder } of await accountFolders(account)) {
+      const skipped = folder.isVirtual ||
+        (folder.specialUse ?? []).some((use) => SKIPPED_SPECIAL_USES.has(use));
+      if (!skipped) byId.set(folder.id, folder);
+    }
+  }
+  for (const folderId of selection.folders ?? []) {
+    if (byId.has(folderId)) continue;
+    try {
+      byId.set(folderId, await browser.folders.get(folderId));
+    } catch (err) {
+      console.warn(`Seriate: skipping missing folder ${folderId}:`, err);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Read the messages of several folders.
+ *
+ * @param {object[]} folders - MailFolders
+ * @param {(folder: object) => void} [onFolder] - Called before each folder is read
+ * @returns {Promise<object[]>} MessageHeaders
+ */
+async function readFolderMessages(folders, onFolder = () => {}) {
+  const messages = [];
+  for (const folder of folders) {
+    onFolder(folder);
+    messages.push(...(await readMessageList(await browser.messages.list(folder.id))));
+  }
+  return messages;
+}
@@ -0,0 +1,122 @@
+/**
+ * Human-readable topic labels, computed locally.
+ * Each topic gets its most distinctive keywords by TF-IDF (topics as
+ * documents, so words common to every topic score low), plus the sender
+ * domain most of its messages share.
+ */
+
+// Keywords per label
+const LABEL_KEYWORDS = 3;
+
+// A domain is only shown if at least this share of the topic's
+// messages come from it
+const LABEL_DOMAIN_SHARE = 0.4;
+
+// Words that never make a useful label
+const LABEL_STOPWORDS = new Set((
+  "the and for are but not you your yours with this that these those from " +
+  "have has had was were will would can could should shall may might must " +
+  "been being into onto over under about above below after before again " +
+  "all any both each few more most other some such only own same than too " +
+  "very just also our ours their theirs them they what which who whom whose " +
+  "when where why how here there then once its it's i'm i've we're you're " +
+  "don't doesn't didn't can't won't isn't aren't wasn't let let's get got " +
+  "out off per via yes one two three new now see use used using like make " +
+  "made any please thanks thank regards best hello dear sent subject wrote " +
+  "email mail message messages re fw fwd www http https com org net html " +
+  "click view here today tomorrow yesterday time day week month year"
+).split(" "));
+
+/**
+ * Lowercased words worth considering as keywords. Addresses and links
+ * are dropped, since the sender domain is labelled separately.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function labelTokens(text) {
+  const words = text
+    .replace(/\S+@\S+|\bhttps?:\/\/\S+/g, " ")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*[\p{L}\p{N}]/gu) ?? [];
+  return words.filter(
+    (word) => word.length >= 3 && !/^[\p{N}'’-]+$/u.test(word) && !LABEL_STOPWORDS.has(word)
+  );
+}
+
+/**
+ * Domain of a sender like "Name <user@example.com>".
+ *
+ * @param {string} author
+ * @returns {string | null}
+ */
+function senderDomain(author) {
+  const match = /@([\w.-]+\w)/.exec(author ?? "");
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * @typedef {object} LabelDocument
+ * @property {number} cluster - Cluster id; 0 (no topic) is ignored
+ * @property {string} text - Message text, e.g. from extractMessageText()
+ * @property {string} [author] - From header
+ */
+
+/**
+ * Label each topic with its top TF-IDF keywords and common sender domain.
+ *
+ * @param {LabelDocument[]} documents
+ * @returns {Object<number, string>} Cluster id -> label
+ */
+function labelClusters(documents) {
+  /** @type {Map<number, {size: number, terms: Map<string, number>, domains: Map<string, number>}>} */
+  const clusters = new Map();
+  for (const { cluster, text, author } of documents) {
+    if (!cluster) continue;
+    const stats = clusters.get(cluster) ?? { size: 0, terms: new Map(), domains: new Map() };
+    stats.size++;
+    // Count each word once per message so one long message can't dominate
+    for (const term of new Set(labelTokens(text))) {
+      stats.terms.set(term, (stats.terms.get(term) ?? 0) + 1);
+    }
+    const domain = senderDomain(author);
+    if (domain) stats.domains.set(domain, (stats.domains.get(domain) ?? 0) + 1);
+    clusters.set(cluster, stats);
+  }
+
+  // Number of topics each word appears in
+  const topicFrequency = new Map();
+  for (const { terms } of clusters.values()) {
+    for (const term of terms.keys()) {
+      topicFrequency.set(term, (topicFrequency.get(term) ?? 0) + 1);
+    }
+  }
+
+  /** @type {Object<number, string>} */
+  const labels = {};
+  for (const [cluster, { size, terms, domains }] of clusters) {
+    const scored = [];
+    for (const [term, count] of terms) {
+      // Words seen in a single message say little about the topic
+      if (count < 2 && size > 2) continue;
+      const idf = Math.log(1 + clusters.size / topicFrequency.get(term));
+      scored.push({ term, score: (count / size) * idf });
+    }
+    scored.sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+    const keywords = scored.slice(0, LABEL_KEYWORDS).map((s) => s.term);
+
+    let topDomain = null;
+    let topCount = 0;
+    for (const [domain, count] of domains) {
+      if (count > topCount) {
+        topDomain = domain;
+        topCount = count;
+      }
+    }
+    if (topCount < size * LABEL_DOMAIN_SHARE) topDomain = null;
+
+    const label = [keywords.join(", "), topDomain].filter(Boolean).join(" · ");
+    labels[cluster] = label || `Topic ${cluster}`;
+  }
+  return labels;
+}
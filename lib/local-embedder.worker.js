@@ -0,0 +1,154 @@
+/**
+ * On-device embedding worker. Runs entirely on the CPU with no network
+ * access, so message text never leaves the machine.
+ *
+ * The model is the Universal Sentence Encoder lite (512 dimensions),
+ * shipped in lib/models/use-lite and run with TensorFlow.js on its
+ * WebAssembly backend (lib/tfjs). Both are loaded from the extension's
+ * own files on the first request.
+ *
+ * Protocol: receives {id, texts}, replies {id, vectors} or {id, error}.
+ */
+
+importScripts("tfjs/tf-core.min.js", "tfjs/tf-converter.min.js", "tfjs/tf-backend-wasm.min.js");
+
+const MODEL_URL = "/lib/models/use-lite/model.json";
+const VOCABULARY_URL = "/lib/models/use-lite/vocab.json";
+const WASM_PATH = "/lib/tfjs/";
+
+// SentencePiece marks the start of each word with this symbol
+const WORD_START = "▁";
+// The first vocabulary entries are control tokens that never match text
+const RESERVED_TOKENS = 6;
+const UNKNOWN_TOKEN = 0;
+// Score of a character no vocabulary piece covers, below any real piece
+const UNKNOWN_PENALTY = 10;
+
+/**
+ * SentencePiece unigram tokenizer: splits text into the vocabulary
+ * pieces with the highest total log-probability.
+ */
+class Tokenizer {
+  /**
+   * @param {[string, number][]} vocabulary - [piece, log-probability] by token id
+   */
+  constructor(vocabulary) {
+    this.vocabulary = vocabulary;
+    this.root = { children: new Map(), token: -1 };
+    let minScore = 0;
+    for (let token = RESERVED_TOKENS; token < vocabulary.length; token++) {
+      const [piece, score] = vocabulary[token];
+      let node = this.root;
+      for (const symbol of piece) {
+        if (!node.children.has(symbol)) node.children.set(symbol, { children: new Map(), token: -1 });
+        node = node.children.get(symbol);
+      }
+      node.token = token;
+      minScore = Math.min(minScore, score);
+    }
+    this.unknownScore = minScore - UNKNOWN_PENALTY;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number[]} Token ids
+   */
+  encode(text) {
+    const normalized = text.normalize("NFKC");
+    if (!normalized) return [];
+    const symbols = Array.from(WORD_START + normalized.replace(/ /g, WORD_START));
+    const n = symbols.length;
+
+    // best[end] is the highest score of a split of symbols[0, end); the
+    // piece ending there starts at start[end]
+    const best = new Float64Array(n + 1).fill(-Infinity);
+    const start = new Int32Array(n + 1);
+    const tokens = new Int32Array(n + 1);
+    best[0] = 0;
+    const consider = (from, to, token, score) => {
+      if (best[from] + score > best[to]) {
+        best[to] = best[from] + score;
+        start[to] = from;
+        tokens[to] = token;
+      }
+    };
+
+    for (let i = 0; i < n; i++) {
+      consider(i, i + 1, UNKNOWN_TOKEN, this.unknownScore);
+      let node = this.root;
+      for (let j = i; j < n; j++) {
+        node = node.children.get(symbols[j]);
+        if (!node) break;
+        if (node.token >= 0) consider(i, j + 1, node.token, this.vocabulary[node.token][1]);
+      }
+    }
+
+    const ids = [];
+    for (let end = n; end > 0; end = start[end]) {
+      // Runs of unknown characters become a single unknown token
+      if (tokens[end] === UNKNOWN_TOKEN && ids[ids.length - 1] === UNKNOWN_TOKEN) continue;
+      ids.push(tokens[end]);
+    }
+    return ids.reverse();
+  }
+}
+
+/** @type {Promise<{model: object, tokenizer: Tokenizer}> | null} */
+let loading = null;
+
+/**
+ * Load the model and tokenizer once. A failed load is retried on the
+ * next request.
+ *
+ * @returns {Promise<{model: object, tokenizer: Tokenizer}>}
+ */
+function loadModel() {
+  loading ??= (async () => {
+    tf.wasm.setWasmPaths(WASM_PATH);
+    await tf.setBackend("wasm");
+    const [model, vocabulary] = await Promise.all([
+      tf.loadGraphModel(MODEL_URL),
+      fetch(VOCABULARY_URL).then((response) => response.json()),
+    ]);
+    return { model, tokenizer: new Tokenizer(vocabulary) };
+  })().catch((err) => {
+    loading = null;
+    throw err;
+  });
+  return loading;
+}
+
+/**
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>} Unit-length embeddings
+ */
+async function embed(texts) {
+  const { model, tokenizer } = await loadModel();
+  // The model takes all texts as one sparse batch of token ids; an empty
+  // text is given an unknown token so it still gets a unit vector
+  const encodings = texts.map((text) => {
+    const ids = tokenizer.encode(text);
+    return ids.length > 0 ? ids : [UNKNOWN_TOKEN];
+  });
+  const positions = encodings.flatMap((ids, row) => ids.map((_, column) => [row, column]));
+  const indices = tf.tensor2d(positions, [positions.length, 2], "int32");
+  const values = tf.tensor1d(encodings.flat(), "int32");
+  try {
+    const output = await model.executeAsync({ indices, values });
+    const vectors = await output.array();
+    output.dispose();
+    return vectors;
+  } finally {
+    indices.dispose();
+    values.dispose();
+  }
+}
+
+self.onmessage = async (event) => {
+  const { id, texts } = event.data;
+  try {
+    self.postMessage({ id, vectors: await embed(texts) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message ?? String(err) });
+  }
+};
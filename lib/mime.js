@@ -0,0 +1,258 @@
+/**
+ * MIME body extraction.
+ * Picks the best text part of a message, converts HTML to text with the
+ * DOM, and removes quoted replies, signatures and mailing list footers,
+ * which otherwise dominate the embedding of short replies.
+ */
+
+// Plain text alternatives shorter than this are usually "view this
+// email in HTML" stubs, so the HTML part is used instead
+const MIN_PLAIN_ALTERNATIVE_LENGTH = 200;
+
+// Only the last few paragraphs are checked for list footers
+const FOOTER_PARAGRAPHS = 4;
+
+// Elements whose content is never message text
+const HTML_IGNORED_SELECTOR = "head, script, style, noscript, template, title";
+
+// Quoted history as marked up by common mail clients
+const HTML_QUOTE_SELECTOR = [
+  "blockquote[type='cite']",
+  ".gmail_quote",
+  ".gmail_signature",
+  ".moz-cite-prefix",
+  ".moz-signature",
+  "#divRplyFwdMsg",
+  "#appendonsend",
+  ".yahoo_quoted",
+].join(", ");
+
+const HTML_BLOCK_TAGS = new Set([
+  "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DIV", "DL", "DT",
+  "FIELDSET", "FIGCAPTION", "FIGURE", "FOOTER", "FORM", "H1", "H2", "H3",
+  "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE",
+  "SECTION", "TABLE", "TR", "UL",
+]);
+
+// A line introducing quoted history; everything from it on is dropped
+const REPLY_HEADER_PATTERNS = [
+  /^On .{1,200} wrote:\s*$/,
+  /^Le .{1,200} a écrit\s*:\s*$/,
+  /^Am .{1,200} schrieb .{0,100}:\s*$/,
+  /^El .{1,200} escribió:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}$/i,
+  /^_{10,}$/,
+];
+
+const SIGNATURE_DELIMITER = /^-- ?$/;
+
+const FOOTER_PATTERN =
+  /unsubscribe|mailing list|list-?info|you (are )?receiv(ed|ing) this|manage (your )?(email )?preferences|view (this email )?in (your|a) browser|opt[- ]out/i;
+
+/**
+ * @param {object} part - MessagePart from messages.getFull()
+ * @returns {boolean}
+ */
+function isAttachment(part) {
+  const disposition = part.headers?.["content-disposition"]?.[0] ?? "";
+  return /^attachment/i.test(disposition);
+}
+
+/**
+ * @param {object} part
+ * @returns {boolean}
+ */
+function isTextPart(part) {
+  return (part.contentType === "text/plain" || part.contentType === "text/html") &&
+    !!part.body && !isAttachment(part);
+}
+
+/**
+ * Convert an HTML body to text using the DOM, so entities are decoded
+ * and style/script contents are dropped.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  for (const el of doc.querySelectorAll(`${HTML_IGNORED_SELECTOR}, ${HTML_QUOTE_SELECTOR}`)) {
+    el.remove();
+  }
+
+  const lines = [];
+  let line = "";
+  const flush = () => {
+    lines.push(line.replace(/[ \t\u00a0]+/g, " ").trim());
+    line = "";
+  };
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      line += node.nodeValue.replace(/\s+/g, " ");
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node.tagName === "BR") {
+      flush();
+      return;
+    }
+    const block = HTML_BLOCK_TAGS.has(node.tagName);
+    if (block) flush();
+    for (const child of node.childNodes) walk(child);
+    if (block) flush();
+    else if (node.tagName === "TD" || node.tagName === "TH") line += " ";
+  };
+  walk(doc.body ?? doc.documentElement);
+  flush();
+
+  return lines.join("\n");
+}
+
+/**
+ * Choose the best part of a multipart/alternative: text/plain when it
+ * has real content, otherwise the richest HTML rendering.
+ *
+ * @param {object[]} alternatives
+ * @returns {string}
+ */
+function extractAlternative(alternatives) {
+  let plain = "";
+  let html = "";
+  for (const child of alternatives) {
+    if (child.contentType === "text/plain" && isTextPart(child)) {
+      plain = extractPartText(child);
+    } else {
+      // text/html, or multipart/related wrapping it
+      const text = extractPartText(child);
+      if (text.length > html.length) html = text;
+    }
+  }
+  if (plain.trim().length >= MIN_PLAIN_ALTERNATIVE_LENGTH || !html) {
+    return plain;
+  }
+  return html;
+}
+
+/**
+ * Recursively extract text from a MIME part tree, following the
+ * structure of each multipart type.
+ *
+ * @param {object} part - MessagePart from messages.getFull()
+ * @returns {string}
+ */
+function extractPartText(part) {
+  const type = part.contentType ?? "";
+  const children = part.parts ?? [];
+
+  if (isTextPart(part)) {
+    return cleanBodyText(type === "text/html" ? htmlToText(part.body) : part.body);
+  }
+
+  if (type === "multipart/alternative") {
+    return extractAlternative(children);
+  }
+
+  if (type === "multipart/related") {
+    // The first part is the root document; the rest are inline resources
+    return children.length > 0 ? extractPartText(children[0]) : "";
+  }
+
+  if (type === "message/rfc822") {
+    // Forwarded message: keep its subject with its body
+    const subject = part.headers?.subject?.[0];
+    const body = children.map(extractPartText).filter(Boolean).join("\n\n");
+    return subject ? `Subject: ${subject}\n${body}` : body;
+  }
+
+  // multipart/mixed and the message root: the first body part plus any
+  // forwarded messages attached after it
+  const texts = [];
+  for (const child of children) {
+    if (isAttachment(child) && child.contentType !== "message/rfc822") continue;
+    if (child.contentType === "message/rfc822" || texts.length === 0) {
+      const text = extractPartText(child);
+      if (text) texts.push(text);
+    }
+  }
+  return texts.join("\n\n");
+}
+
+/**
+ * Drop quoted history: ">" lines and everything after a reply header.
+ * A message that is only a reply header keeps its text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function stripQuotedText(text) {
+  const kept = [];
+  let hasContent = false;
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (hasContent && REPLY_HEADER_PATTERNS.some((p) => p.test(trimmed))) {
+      break;
+    }
+    if (trimmed.startsWith(">")) continue;
+    kept.push(line);
+    hasContent ||= trimmed.length > 0;
+  }
+  return kept.join("\n");
+}
+
+/**
+ * Cut the signature at the "-- " delimiter line.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function stripSignature(text) {
+  const lines = text.split("\n");
+  const index = lines.findIndex((line) => SIGNATURE_DELIMITER.test(line));
+  return index > 0 ? lines.slice(0, index).join("\n") : text;
+}
+
+/**
+ * Drop trailing paragraphs that look like mailing list or newsletter
+ * boilerplate.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function stripListFooter(text) {
+  const paragraphs = text.split(/\n\s*\n/);
+  let end = paragraphs.length;
+  const stop = Math.max(1, paragraphs.length - FOOTER_PARAGRAPHS);
+  while (end > stop && FOOTER_PATTERN.test(paragraphs[end - 1])) {
+    end--;
+  }
+  return paragraphs.slice(0, end).join("\n\n");
+}
+
+/**
+ * Remove quoted history, signature and list footer from one text part.
+ * Done per part so a forwarded message keeps its own body.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanBodyText(text) {
+  return stripListFooter(stripSignature(stripQuotedText(text)));
+}
+
+/**
+ * Extract the meaningful body text of a message for embedding.
+ *
+ * @param {object} part - Result of messages.getFull()
+ * @returns {string}
+ */
+function extractBodyText(part) {
+  // The root is itself message/rfc822; its subject is already in the header
+  const children = part.contentType === "message/rfc822" ? part.parts ?? [] : [part];
+  return children
+    .map(extractPartText)
+    .filter(Boolean)
+    .join("\n\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -0,0 +1,176 @@
+/**
+ * Embedding providers.
+ * Each provider knows its endpoint, auth header style, batch size,
+ * per-input token limit and response shape. User settings (base URL,
+ * model, key) override the defaults.
+ */
+
+const DEFAULT_PROVIDER_ID = "openai";
+
+/**
+ * @typedef {object} ProviderSettings
+ * @property {string} id - Key into EMBEDDING_PROVIDERS
+ * @property {string} baseUrl
+ * @property {string} model
+ * @property {string} apiKey
+ * @property {number} batchSize
+ * @property {"document" | "query"} [inputType] - What the texts are, for
+ *   providers that embed search queries differently; defaults to "document"
+ */
+
+/**
+ * Response parser for the OpenAI embeddings format, which most
+ * vendors and self-hosted servers also speak.
+ *
+ * @param {object} data
+ * @returns {number[][]}
+ */
+function parseOpenAIEmbeddings(data) {
+  // Response data is sorted by index, but sort explicitly to be safe
+  const sorted = data.data.sort((a, b) => a.index - b.index);
+  return sorted.map((item) => item.embedding);
+}
+
+const EMBEDDING_PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    baseUrl: "https://api.openai.com/v1",
+    model: "text-embedding-3-small",
+    authStyle: "bearer",
+    requiresKey: true,
+    batchSize: 100,
+    maxInputTokens: 8191,
+    url: (s) => `${s.baseUrl}/embeddings`,
+    body: (s, batch) => ({ model: s.model, input: batch }),
+    parse: parseOpenAIEmbeddings,
+  },
+
+  // Ollama, llama.cpp server, vLLM, LM Studio, etc. all expose /v1/embeddings
+  "openai-compatible": {
+    label: "OpenAI-compatible server",
+    baseUrl: "http://localhost:11434/v1",
+    model: "nomic-embed-text",
+    authStyle: "bearer",
+    requiresKey: false,
+    selfHosted: true,
+    batchSize: 32,
+    maxInputTokens: 2048,
+    url: (s) => `${s.baseUrl}/embeddings`,
+    body: (s, batch) => ({ model: s.model, input: batch }),
+    parse: parseOpenAIEmbeddings,
+  },
+
+  // Base URL is the deployment, e.g.
+  // https://my-resource.openai.azure.com/openai/deployments/my-deployment
+  azure: {
+    label: "Azure OpenAI",
+    baseUrl: "",
+    model: "text-embedding-3-small",
+    authStyle: "api-key",
+    requiresKey: true,
+    batchSize: 16,
+    maxInputTokens: 8191,
+    url: (s) => `${s.baseUrl}/embeddings?api-version=2024-02-01`,
+    body: (s, batch) => ({ input: batch }),
+    parse: parseOpenAIEmbeddings,
+  },
+
+  cohere: {
+    label: "Cohere",
+    baseUrl: "https://api.cohere.com/v1",
+    model: "embed-english-v3.0",
+    authStyle: "bearer",
+    requiresKey: true,
+    batchSize: 96,
+    maxInputTokens: 512,
+    url: (s) => `${s.baseUrl}/embed`,
+    body: (s, batch) => ({
+      model: s.model,
+      texts: batch,
+      input_type: s.inputType === "query" ? "search_query" : "search_document",
+    }),
+    parse: (data) => data.embeddings,
+  },
+
+  // Runs in lib/local-embedder.worker.js; nothing leaves the machine
+  local: {
+    label: "On-device (offline)",
+    baseUrl: "",
+    model: "universal-sentence-encoder-lite",
+    authStyle: "none",
+    requiresKey: false,
+    local: true,
+    batchSize: 64,
+    maxInputTokens: Infinity,
+  },
+};
+
+/**
+ * Build request headers for a provider according to its auth style.
+ *
+ * @param {ProviderSettings} settings
+ * @returns {Object<string, string>}
+ */
+function providerHeaders(settings) {
+  const provider = EMBEDDING_PROVIDERS[settings.id];
+  const headers = { "Content-Type": "application/json" };
+  if (settings.apiKey) {
+    if (provider.authStyle === "bearer") {
+      headers.Authorization = `Bearer ${settings.apiKey}`;
+    } else if (provider.authStyle === "api-key") {
+      headers["api-key"] = settings.apiKey;
+    }
+  }
+  return headers;
+}
+
+/**
+ * Merge stored settings over the provider's defaults.
+ *
+ * @param {Partial<ProviderSettings>} [stored]
+ * @returns {ProviderSettings}
+ */
+function resolveProviderSettings(stored = {}) {
+  const id = EMBEDDING_PROVIDERS[stored.id] ? stored.id : DEFAULT_PROVIDER_ID;
+  const provider = EMBEDDING_PROVIDERS[id];
+  return {
+    id,
+    baseUrl: (stored.baseUrl || provider.baseUrl).replace(/\/+$/, ""),
+    model: stored.model || provider.model,
+    apiKey: stored.apiKey ?? "",
+    batchSize: Number(stored.batchSize) || provider.batchSize,
+  };
+}
+
+/**
+ * Load the configured provider from extension storage.
+ * Falls back to the legacy top-level `apiKey` for OpenAI.
+ *
+ * @returns {Promise<ProviderSettings>}
+ */
+async function loadProviderSettings() {
+  const { provider, apiKey } = await browser.storage.local.get([
+    "provider",
+    "apiKey",
+  ]);
+  const stored = provider ?? { id: DEFAULT_PROVIDER_ID };
+  if (stored.id === DEFAULT_PROVIDER_ID && !stored.apiKey && apiKey) {
+    stored.apiKey = apiKey;
+  }
+  return resolveProviderSettings(stored);
+}
+
+/**
+ * Throw if the settings are not usable for fetching embeddings.
+ *
+ * @param {ProviderSettings} settings
+ */
+function validateProviderSettings(settings) {
+  const provider = EMBEDDING_PROVIDERS[settings.id];
+  if (!provider.local && !settings.baseUrl) {
+    throw new Error(`${provider.label} base URL not configured. Set it in the popup.`);
+  }
+  if (provider.requiresKey && !settings.apiKey) {
+    throw new Error(`${provider.label} API key not configured. Set it in the popup.`);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Similarity ranking over cached embeddings, for semantic search and
+ * "more like this".
+ */
+
+/**
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number} In [-1, 1]; 0 if either vector is zero
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let k = 0; k < a.length; k++) {
+    dot += a[k] * b[k];
+    normA += a[k] * a[k];
+    normB += b[k] * b[k];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Mean direction of several vectors, each weighted equally regardless of
+ * its length. Used as the query for "more like these".
+ *
+ * @param {ArrayLike<number>[]} vectors
+ * @returns {Float64Array}
+ */
+function meanDirection(vectors) {
+  const mean = new Float64Array(vectors[0].length);
+  for (const vector of vectors) {
+    let norm = 0;
+    for (let k = 0; k < vector.length; k++) norm += vector[k] * vector[k];
+    norm = Math.sqrt(norm) || 1;
+    for (let k = 0; k < vector.length; k++) mean[k] += vector[k] / norm;
+  }
+  return mean;
+}
+
+/**
+ * @typedef {object} SearchMatch
+ * @property {string} messageId - Message-ID header value
+ * @property {number} score - Cosine similarity to the query
+ */
+
+/**
+ * Keeps the best `limit` matches seen so far, without holding on to
+ * every candidate.
+ */
+class TopMatches {
+  /**
+   * @param {number} [limit] - Infinity keeps everything
+   */
+  constructor(limit = Infinity) {
+    this.limit = limit;
+    /** @type {SearchMatch[]} */
+    this.matches = [];
+  }
+
+  /**
+   * @param {string} messageId
+   * @param {number} score
+   */
+  add(messageId, score) {
+    this.matches.push({ messageId, score });
+    // Trim in bulk so adding stays amortized O(1)
+    if (this.matches.length >= this.limit * 2) this.trim();
+  }
+
+  trim() {
+    this.matches.sort((a, b) => b.score - a.score);
+    if (this.matches.length > this.limit) this.matches.length = this.limit;
+  }
+
+  /**
+   * @returns {SearchMatch[]} Best first
+   */
+  results() {
+    this.trim();
+    return this.matches;
+  }
+}
+
+/**
+ * Rank vectors by cosine similarity to a query vector.
+ *
+ * @param {ArrayLike<number>} query
+ * @param {Map<string, ArrayLike<number>>} embeddings - Message-ID -> vector
+ * @param {number} [limit]
+ * @returns {SearchMatch[]} Best first
+ */
+function rankBySimilarity(query, embeddings, limit = Infinity) {
+  const top = new TopMatches(limit);
+  for (const [messageId, embedding] of embeddings) {
+    top.add(messageId, cosineSimilarity(query, embedding));
+  }
+  return top.results();
+}
@@ -1,70 +1,296 @@
 /**
- * Seriation algorithm: reorder items so that similar ones are adjacent.
- * Uses greedy nearest-neighbor traversal on a cosine distance matrix.
+ * Seriation algorithms: reorder items so that similar ones are adjacent.
+ * Builds an initial order on a cosine distance matrix with one of
+ * SERIATION_ALGORITHMS, then shortens the path with 2-opt and Or-opt
+ * local search.
+ *
+ * Vectors are unit-normalized up front and packed into one Float32Array,
+ * so cosine distance is 1 - dot product. Optional metadata (sender,
+ * List-Id, date) mixes in with user-set weights; see packMetadata().
+ * Block partitioning still works on the text vectors alone. Inputs larger
+ * than an algorithm's block size are split into blocks by recursive
+ * spherical 2-means; only one block's distance matrix exists at a time,
+ * so memory stays far below O(n²).
+ *
+ * This file is also loaded by lib/seriation.worker.js.
+ */
+
+// Local search stops after this many rounds of 2-opt and Or-opt even if
+// moves still help. Counting rounds rather than time keeps the result the
+// same from run to run.
+const REFINE_MAX_ROUNDS = 10;
+
+// Longest segment Or-opt will relocate
+const OR_OPT_MAX_SEGMENT = 3;
+
+// Ignore improvements smaller than this (floating point noise)
+const IMPROVEMENT_EPSILON = 1e-10;
+
+// Spherical 2-means iterations per bisection
+const BISECT_ITERATIONS = 8;
+
+/**
+ * @typedef {object} PackedVectors
+ * @property {Float32Array} vectors - n × dim, row-major, unit length rows
+ * @property {number} n
+ * @property {number} dim
+ * @property {PackedMetadata} [metadata] - Mixed into distances when present
+ */
+
+/**
+ * Weights of the terms of the hybrid distance. Only their ratios matter.
+ *
+ * @typedef {object} DistanceWeights
+ * @property {number} embedding - Cosine distance of the text vectors
+ * @property {number} sender - Different sender address
+ * @property {number} domain - Different sender domain
+ * @property {number} list - Not on the same mailing list
+ * @property {number} time - Time apart, saturating over timeScaleDays
+ * @property {number} timeScaleDays - Time apart at which the time term
+ *   reaches 63% of its weight
+ */
+
+/** @type {DistanceWeights} */
+const DEFAULT_DISTANCE_WEIGHTS = {
+  embedding: 1,
+  sender: 0,
+  domain: 0,
+  list: 0,
+  time: 0,
+  timeScaleDays: 30,
+};
+
+/**
+ * What the hybrid distance knows about an item besides its text.
+ *
+ * @typedef {object} ItemMetadata
+ * @property {string} [author] - From header, e.g. "Name <user@example.com>"
+ * @property {string | null} [listId]
+ * @property {Date | string | number} [date]
+ */
+
+/**
+ * @typedef {object} PackedMetadata
+ * @property {Int32Array} sender - Interned sender address, -1 if unknown
+ * @property {Int32Array} domain - Interned sender domain, -1 if unknown
+ * @property {Int32Array} list - Interned List-Id, -1 if none
+ * @property {Float64Array} time - ms since epoch, NaN if unknown
+ * @property {DistanceWeights} weights - Normalized to sum to 1
+ */
+
+/**
+ * @typedef {object} DistanceMatrix
+ * @property {number} n
+ * @property {Float32Array} data - n × n, row-major, symmetric
+ */
+
+/**
+ * Pack embeddings into a single typed array of unit-length rows.
+ *
+ * @param {number[][]} embeddings
+ * @returns {PackedVectors}
+ */
+function normalizeEmbeddings(embeddings) {
+  const n = embeddings.length;
+  const dim = n > 0 ? embeddings[0].length : 0;
+  const vectors = new Float32Array(n * dim);
+
+  for (let i = 0; i < n; i++) {
+    const embedding = embeddings[i];
+    if (embedding.length !== dim) {
+      throw new Error(
+        `Cannot compare embeddings of different dimensions (${dim} vs ${embedding.length}).`
+      );
+    }
+    let norm = 0;
+    for (let k = 0; k < dim; k++) norm += embedding[k] * embedding[k];
+    norm = Math.sqrt(norm);
+    // Zero vectors stay zero: distance 1 to everything
+    const scale = norm > 0 ? 1 / norm : 0;
+    for (let k = 0; k < dim; k++) vectors[i * dim + k] = embedding[k] * scale;
+  }
+
+  return { vectors, n, dim };
+}
+
+/**
+ * Whether weights add anything to plain cosine distance.
+ *
+ * @param {Partial<DistanceWeights>} [weights]
+ * @returns {boolean}
  */
+function isHybridDistance(weights) {
+  return Boolean(weights?.sender || weights?.domain || weights?.list || weights?.time);
+}
 
 /**
- * Compute cosine distance between two vectors.
+ * Pack item metadata for the hybrid distance. Strings are interned to
+ * integers so comparing two items is cheap.
  *
- * @param {number[]} a
- * @param {number[]} b
+ * @param {ItemMetadata[]} items
+ * @param {Partial<DistanceWeights>} weights
+ * @returns {PackedMetadata}
+ */
+function packMetadata(items, weights) {
+  const n = items.length;
+  const interned = new Map();
+  const intern = (value) => {
+    if (!value) return -1;
+    if (!interned.has(value)) interned.set(value, interned.size);
+    return interned.get(value);
+  };
+
+  const sender = new Int32Array(n);
+  const domain = new Int32Array(n);
+  const list = new Int32Array(n);
+  const time = new Float64Array(n);
+  items.forEach((item, i) => {
+    // "Name <user@example.com>" -> "user@example.com"
+    const author = item.author ?? "";
+    const address = (/<([^<>]+)>/.exec(author)?.[1] ?? author).trim().toLowerCase();
+    const at = address.lastIndexOf("@");
+    sender[i] = intern(address && `from:${address}`);
+    domain[i] = intern(at >= 0 && `domain:${address.slice(at + 1)}`);
+    list[i] = intern(item.listId && `list:${item.listId}`);
+    time[i] = item.date == null ? NaN : new Date(item.date).getTime();
+  });
+
+  const w = { ...DEFAULT_DISTANCE_WEIGHTS, ...weights };
+  const terms = ["embedding", "sender", "domain", "list", "time"];
+  for (const term of terms) w[term] = Math.max(0, Number(w[term]) || 0);
+  const total = terms.reduce((sum, term) => sum + w[term], 0);
+  if (total === 0) {
+    w.embedding = 1;
+  } else {
+    for (const term of terms) w[term] /= total;
+  }
+  w.timeScaleDays = Math.max(Number(w.timeScaleDays) || DEFAULT_DISTANCE_WEIGHTS.timeScaleDays, 1e-3);
+
+  return { sender, domain, list, time, weights: w };
+}
+
+/**
+ * Cosine distance between two packed unit vectors.
+ *
+ * @param {PackedVectors} packed
+ * @param {number} i
+ * @param {number} j
  * @returns {number} Distance in [0, 2]
  */
-function cosineDistance(a, b) {
+function cosineDistance(packed, i, j) {
+  const { vectors, dim } = packed;
+  const a = i * dim;
+  const b = j * dim;
   let dot = 0;
-  let normA = 0;
-  let normB = 0;
-  for (let i = 0; i < a.length; i++) {
-    dot += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
+  for (let k = 0; k < dim; k++) dot += vectors[a + k] * vectors[b + k];
+  return 1 - dot;
+}
+
+/**
+ * Weighted mix of cosine distance and metadata mismatches. Each metadata
+ * term is 0 when the items match and 1 when they don't (or either is
+ * unknown), so the result stays in [0, 2].
+ *
+ * @param {PackedVectors} packed - With metadata
+ * @param {number} i
+ * @param {number} j
+ * @returns {number}
+ */
+function hybridDistance(packed, i, j) {
+  const { sender, domain, list, time, weights } = packed.metadata;
+  let d = weights.embedding ? weights.embedding * cosineDistance(packed, i, j) : 0;
+  if (sender[i] < 0 || sender[i] !== sender[j]) d += weights.sender;
+  if (domain[i] < 0 || domain[i] !== domain[j]) d += weights.domain;
+  if (list[i] < 0 || list[i] !== list[j]) d += weights.list;
+  if (weights.time) {
+    const days = Math.abs(time[i] - time[j]) / 86400000;
+    // NaN (unknown date) counts as far apart
+    d += weights.time * (Number.isNaN(days) ? 1 : 1 - Math.exp(-days / weights.timeScaleDays));
   }
-  const denom = Math.sqrt(normA) * Math.sqrt(normB);
-  if (denom === 0) return 1;
-  return 1 - dot / denom;
+  return d;
 }
 
 /**
- * Build a pairwise cosine distance matrix.
+ * Distance between two packed items: hybrid when metadata is attached,
+ * cosine otherwise.
  *
- * @param {number[][]} embeddings
- * @returns {number[][]} Symmetric distance matrix
+ * @param {PackedVectors} packed
+ * @param {number} i
+ * @param {number} j
+ * @returns {number} Distance in [0, 2]
  */
-function buildDistanceMatrix(embeddings) {
-  const n = embeddings.length;
-  const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+function vectorDistance(packed, i, j) {
+  return packed.metadata ? hybridDistance(packed, i, j) : cosineDistance(packed, i, j);
+}
+
+/**
+ * Build a pairwise distance matrix over a subset of items.
+ *
+ * @param {PackedVectors} packed
+ * @param {number[]} indices - Items to include; row k is indices[k]
+ * @returns {DistanceMatrix}
+ */
+function buildDistanceMatrix(packed, indices) {
+  const n = indices.length;
+  const data = new Float32Array(n * n);
 
   for (let i = 0; i < n; i++) {
     for (let j = i + 1; j < n; j++) {
-      const d = cosineDistance(embeddings[i], embeddings[j]);
-      matrix[i][j] = d;
-      matrix[j][i] = d;
+      const d = vectorDistance(packed, indices[i], indices[j]);
+      data[i * n + j] = d;
+      data[j * n + i] = d;
     }
   }
 
-  return matrix;
+  return { n, data };
 }
 
 /**
- * Seriate a list of items using greedy nearest-neighbor.
- * Returns an ordering (array of original indices) such that
- * adjacent items in the ordering are similar.
+ * Total length of an open path.
  *
- * @param {number[][]} embeddings - Array of embedding vectors
- * @returns {number[]} Ordered indices into the embeddings array
+ * @param {number[]} order
+ * @param {DistanceMatrix} dist
+ * @returns {number}
  */
-function seriate(embeddings) {
-  const n = embeddings.length;
-  if (n <= 1) return n === 1 ? [0] : [];
+function pathLength(order, dist) {
+  const { n, data } = dist;
+  let total = 0;
+  for (let i = 1; i < order.length; i++) {
+    total += data[order[i - 1] * n + order[i]];
+  }
+  return total;
+}
 
-  const dist = buildDistanceMatrix(embeddings);
-  const visited = new Set();
+/**
+ * Total length of an open path, computed from the vectors directly.
+ *
+ * @param {number[]} order
+ * @param {PackedVectors} packed
+ * @returns {number}
+ */
+function vectorPathLength(order, packed) {
+  let total = 0;
+  for (let i = 1; i < order.length; i++) {
+    total += vectorDistance(packed, order[i - 1], order[i]);
+  }
+  return total;
+}
+
+/**
+ * Greedy nearest-neighbor path starting from index 0.
+ *
+ * @param {DistanceMatrix} dist
+ * @returns {number[]}
+ */
+function greedyOrder(dist) {
+  const { n, data } = dist;
+  const visited = new Uint8Array(n);
   /** @type {number[]} */
   const order = [];
 
   // Start from index 0
   let current = 0;
-  visited.add(current);
+  visited[current] = 1;
   order.push(current);
 
   while (order.length < n) {
@@ -72,16 +298,785 @@ function seriate(embeddings) {
     let bestDist = Infinity;
 
     for (let j = 0; j < n; j++) {
-      if (!visited.has(j) && dist[current][j] < bestDist) {
-        bestDist = dist[current][j];
+      if (!visited[j] && data[current * n + j] < bestDist) {
+        bestDist = data[current * n + j];
         bestIdx = j;
       }
     }
 
-    visited.add(bestIdx);
+    visited[bestIdx] = 1;
     order.push(bestIdx);
     current = bestIdx;
   }
 
   return order;
 }
+
+// Power iteration limits for the Fiedler vector
+const SPECTRAL_MAX_ITERATIONS = 1000;
+const SPECTRAL_TOLERANCE = 1e-9;
+
+/**
+ * Spectral seriation: sort items by the Fiedler vector (eigenvector of
+ * the second-smallest eigenvalue) of the similarity graph's Laplacian.
+ *
+ * @param {DistanceMatrix} dist
+ * @returns {number[]}
+ */
+function spectralOrder(dist) {
+  const { n, data } = dist;
+
+  // Similarity = 1 - cosine distance, clamped to be non-negative
+  const similarity = new Float32Array(n * n);
+  const degree = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      const s = Math.max(0, 1 - data[i * n + j]);
+      similarity[i * n + j] = s;
+      degree[i] += s;
+    }
+  }
+
+  // Power iteration on (c·I - L) finds L's smallest eigenvectors; the
+  // constant vector (eigenvalue 0) is projected out each step.
+  // Gershgorin: every eigenvalue of L is at most 2·max degree.
+  let maxDegree = 0;
+  for (let i = 0; i < n; i++) maxDegree = Math.max(maxDegree, degree[i]);
+  const shift = 2 * maxDegree || 1;
+  let v = Float64Array.from({ length: n }, (_, i) => Math.sin(i + 1));
+  let next = new Float64Array(n);
+
+  const normalize = (x) => {
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += x[i];
+    mean /= n;
+    let norm = 0;
+    for (let i = 0; i < n; i++) {
+      x[i] -= mean;
+      norm += x[i] * x[i];
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < n; i++) x[i] /= norm;
+  };
+  normalize(v);
+
+  for (let iter = 0; iter < SPECTRAL_MAX_ITERATIONS; iter++) {
+    // next = (shift - degree) ⊙ v + S·v
+    for (let i = 0; i < n; i++) {
+      let sum = (shift - degree[i]) * v[i];
+      for (let j = 0; j < n; j++) sum += similarity[i * n + j] * v[j];
+      next[i] = sum;
+    }
+    normalize(next);
+
+    let change = 0;
+    for (let i = 0; i < n; i++) change += (next[i] - v[i]) ** 2;
+    [v, next] = [next, v];
+    if (change < SPECTRAL_TOLERANCE) break;
+  }
+
+  return Array.from({ length: n }, (_, i) => i).sort((a, b) => v[a] - v[b] || a - b);
+}
+
+/**
+ * @typedef {object} Merge
+ * @property {number} left - Node id (leaves are 0..n-1, merges n..2n-2)
+ * @property {number} right - Node id
+ * @property {number} height - Average-linkage distance at the merge
+ * @property {number} size - Number of leaves under the merged node
+ */
+
+/**
+ * Average-linkage agglomerative clustering using the nearest-neighbor
+ * chain algorithm (O(n²) time). Merge i creates node n + i.
+ *
+ * @param {DistanceMatrix} dist
+ * @returns {Merge[]}
+ */
+function averageLinkage(dist) {
+  const { n } = dist;
+  const d = Float64Array.from(dist.data);
+
+  const active = new Uint8Array(n).fill(1);
+  const size = new Float64Array(n).fill(1);
+  // Node id currently held by each slot
+  const nodeOf = Int32Array.from({ length: n }, (_, i) => i);
+  /** @type {Merge[]} */
+  const merges = [];
+  const chain = [];
+
+  while (merges.length < n - 1) {
+    if (chain.length === 0) {
+      chain.push(active.indexOf(1));
+    }
+    const a = chain[chain.length - 1];
+    const prev = chain.length > 1 ? chain[chain.length - 2] : -1;
+
+    // Prefer the previous chain element on ties so the chain terminates
+    let b = prev;
+    let best = prev >= 0 ? d[a * n + prev] : Infinity;
+    for (let j = 0; j < n; j++) {
+      if (active[j] && j !== a && d[a * n + j] < best) {
+        best = d[a * n + j];
+        b = j;
+      }
+    }
+
+    if (b !== prev) {
+      chain.push(b);
+      continue;
+    }
+
+    // a and b are reciprocal nearest neighbors: merge b into a
+    chain.length -= 2;
+    const total = size[a] + size[b];
+    for (let j = 0; j < n; j++) {
+      if (!active[j] || j === a || j === b) continue;
+      const merged = (size[a] * d[a * n + j] + size[b] * d[b * n + j]) / total;
+      d[a * n + j] = merged;
+      d[j * n + a] = merged;
+    }
+    merges.push({ left: nodeOf[a], right: nodeOf[b], height: best, size: total });
+    active[b] = 0;
+    size[a] = total;
+    nodeOf[a] = n + merges.length - 1;
+  }
+
+  return merges;
+}
+
+/**
+ * Hierarchical seriation: average-linkage dendrogram with optimal leaf
+ * ordering (Bar-Joseph et al. 2001), which flips subtrees to minimize
+ * the summed distance between adjacent leaves. O(n³) time, O(n²) memory.
+ *
+ * @param {DistanceMatrix} dist
+ * @returns {number[]}
+ */
+function optimalLeafOrder(dist) {
+  const { n, data } = dist;
+  if (n === 1) return [0];
+
+  const merges = averageLinkage(dist);
+  const childOf = (node) => merges[node - n];
+
+  // Leaves of each node, and each node's span in a DFS leaf order so
+  // subtree membership is a range check
+  /** @type {number[][]} */
+  const leaves = [];
+  const spanStart = new Int32Array(2 * n - 1);
+  const spanEnd = new Int32Array(2 * n - 1);
+  const leafPos = new Int32Array(n);
+  for (let i = 0; i < n; i++) leaves[i] = [i];
+  merges.forEach((m, i) => {
+    leaves[n + i] = leaves[m.left].concat(leaves[m.right]);
+  });
+  const root = 2 * n - 2;
+  leaves[root].forEach((leaf, pos) => (leafPos[leaf] = pos));
+  for (let node = 0; node <= root; node++) {
+    spanStart[node] = leafPos[leaves[node][0]];
+    spanEnd[node] = spanStart[node] + leaves[node].length;
+  }
+  const contains = (node, leaf) =>
+    leafPos[leaf] >= spanStart[node] && leafPos[leaf] < spanEnd[node];
+
+  // Leaves that can end an ordering of `node` which starts at `leaf`
+  const oppositeEnds = (node, leaf) => {
+    if (node < n) return leaves[node];
+    const { left, right } = childOf(node);
+    return contains(left, leaf) ? leaves[right] : leaves[left];
+  };
+
+  // best[u*n+w]: shortest ordering of lca(u, w) from u to w.
+  // Every pair has a unique LCA, so one table covers all nodes.
+  const best = new Float64Array(n * n);
+  // Where the path crosses from u's child (innerU) to w's child (innerW)
+  const innerU = new Int32Array(n * n);
+  const innerW = new Int32Array(n * n);
+  const crossCost = new Float64Array(n);
+  const crossArg = new Int32Array(n);
+
+  for (const { left: a, right: b } of merges) {
+    for (const u of leaves[a]) {
+      const endsA = oppositeEnds(a, u);
+      // Cheapest way from u through subtree a and across to each k in b
+      for (const k of leaves[b]) {
+        let cost = Infinity;
+        let arg = -1;
+        for (const m of endsA) {
+          const c = (m === u ? 0 : best[u * n + m]) + data[m * n + k];
+          if (c < cost) {
+            cost = c;
+            arg = m;
+          }
+        }
+        crossCost[k] = cost;
+        crossArg[k] = arg;
+      }
+
+      for (const w of leaves[b]) {
+        let cost = Infinity;
+        let arg = -1;
+        for (const k of oppositeEnds(b, w)) {
+          const c = crossCost[k] + (k === w ? 0 : best[k * n + w]);
+          if (c < cost) {
+            cost = c;
+            arg = k;
+          }
+        }
+        best[u * n + w] = cost;
+        best[w * n + u] = cost;
+        innerU[u * n + w] = crossArg[arg];
+        innerW[u * n + w] = arg;
+        // Reversed path: w ... k | m ... u
+        innerU[w * n + u] = arg;
+        innerW[w * n + u] = crossArg[arg];
+      }
+    }
+  }
+
+  // Pick the cheapest pair of endpoints at the root, then unwind
+  const { left, right } = childOf(root);
+  let startLeaf = -1;
+  let endLeaf = -1;
+  let bestCost = Infinity;
+  for (const u of leaves[left]) {
+    for (const w of leaves[right]) {
+      if (best[u * n + w] < bestCost) {
+        bestCost = best[u * n + w];
+        startLeaf = u;
+        endLeaf = w;
+      }
+    }
+  }
+
+  /** @type {number[]} */
+  const order = [];
+  const stack = [[root, startLeaf, endLeaf]];
+  while (stack.length) {
+    const [node, u, w] = stack.pop();
+    if (node < n) {
+      order.push(u);
+      continue;
+    }
+    const { left: a, right: b } = childOf(node);
+    const [first, second] = contains(a, u) ? [a, b] : [b, a];
+    const m = innerU[u * n + w];
+    const k = innerW[u * n + w];
+    // Push second half first so the first half is emitted first
+    stack.push([second, k, w]);
+    stack.push([first, u, m]);
+  }
+
+  return order;
+}
+
+/**
+ * Available seriation algorithms. Each maps a distance matrix to an
+ * initial ordering, which seriate() then refines. Inputs larger than
+ * `blockSize` are seriated block by block.
+ */
+const SERIATION_ALGORITHMS = {
+  greedy: {
+    label: "Greedy nearest neighbor",
+    order: greedyOrder,
+    blockSize: 2000,
+  },
+  spectral: {
+    label: "Spectral (Fiedler vector)",
+    order: spectralOrder,
+    blockSize: 1000,
+  },
+  hierarchical: {
+    label: "Hierarchical + optimal leaf ordering",
+    order: optimalLeafOrder,
+    blockSize: 500,
+  },
+};
+
+const DEFAULT_SERIATION_ALGORITHM = "greedy";
+
+/**
+ * One pass of 2-opt over an open path: reverse path[i..j] whenever that
+ * shortens the path. Mutates `path`.
+ *
+ * @param {number[]} path
+ * @param {DistanceMatrix} dist
+ * @returns {boolean} Whether any move was applied
+ */
+function twoOptPass(path, dist) {
+  const { data } = dist;
+  const n = path.length;
+  const stride = dist.n;
+  let improved = false;
+
+  for (let i = 0; i < n - 1; i++) {
+    const prev = i > 0 ? path[i - 1] : -1;
+
+    for (let j = i + 1; j < n; j++) {
+      const next = j < n - 1 ? path[j + 1] : -1;
+      // Edges at the open ends of the path don't exist, so cost nothing
+      const before =
+        (prev >= 0 ? data[prev * stride + path[i]] : 0) +
+        (next >= 0 ? data[path[j] * stride + next] : 0);
+      const after =
+        (prev >= 0 ? data[prev * stride + path[j]] : 0) +
+        (next >= 0 ? data[path[i] * stride + next] : 0);
+
+      if (after < before - IMPROVEMENT_EPSILON) {
+        reverseRange(path, i, j);
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+}
+
+/**
+ * @param {number[]} arr
+ * @param {number} i
+ * @param {number} j - Inclusive
+ */
+function reverseRange(arr, i, j) {
+  while (i < j) {
+    const tmp = arr[i];
+    arr[i] = arr[j];
+    arr[j] = tmp;
+    i++;
+    j--;
+  }
+}
+
+/**
+ * One pass of Or-opt over an open path: move a segment of up to
+ * OR_OPT_MAX_SEGMENT items (optionally reversed) to wherever it
+ * shortens the path most. Mutates `path`.
+ *
+ * @param {number[]} path
+ * @param {DistanceMatrix} dist
+ * @returns {boolean} Whether any move was applied
+ */
+function orOptPass(path, dist) {
+  const { data } = dist;
+  const n = path.length;
+  const stride = dist.n;
+  const edge = (a, b) => (a >= 0 && b >= 0 ? data[a * stride + b] : 0);
+  let improved = false;
+
+  for (let len = 1; len <= OR_OPT_MAX_SEGMENT && len < n; len++) {
+    for (let i = 0; i + len <= n; i++) {
+      const first = path[i];
+      const last = path[i + len - 1];
+      const prev = i > 0 ? path[i - 1] : -1;
+      const next = i + len < n ? path[i + len] : -1;
+      const removeGain =
+        edge(prev, first) + edge(last, next) - edge(prev, next);
+
+      let bestDelta = -IMPROVEMENT_EPSILON;
+      let bestK = -2;
+      let bestReversed = false;
+
+      // Insert between path[k] and path[k + 1]; k = -1 is the front
+      for (let k = -1; k < n; k++) {
+        if (k >= i - 1 && k < i + len) continue;
+        const a = k >= 0 ? path[k] : -1;
+        const b = k + 1 < n ? path[k + 1] : -1;
+        const base = edge(a, b);
+        const forward = edge(a, first) + edge(last, b) - base - removeGain;
+        const reversed = edge(a, last) + edge(first, b) - base - removeGain;
+        if (forward < bestDelta) {
+          bestDelta = forward;
+          bestK = k;
+          bestReversed = false;
+        }
+        if (reversed < bestDelta) {
+          bestDelta = reversed;
+          bestK = k;
+          bestReversed = true;
+        }
+      }
+
+      if (bestK === -2) continue;
+
+      const segment = path.splice(i, len);
+      if (bestReversed) segment.reverse();
+      const insertAt = bestK < i ? bestK + 1 : bestK + 1 - len;
+      path.splice(insertAt, 0, ...segment);
+      improved = true;
+    }
+  }
+
+  return improved;
+}
+
+/**
+ * Shorten an open path with 2-opt and Or-opt moves until neither finds
+ * an improvement or REFINE_MAX_ROUNDS rounds have run.
+ *
+ * @param {number[]} order
+ * @param {DistanceMatrix} dist
+ * @returns {number[]} Refined order (input is not mutated)
+ */
+function refineOrder(order, dist) {
+  const path = order.slice();
+  if (path.length < 3) return path;
+
+  let improved = true;
+  for (let round = 0; round < REFINE_MAX_ROUNDS && improved; round++) {
+    const twoOpt = twoOptPass(path, dist);
+    const orOpt = orOptPass(path, dist);
+    improved = twoOpt || orOpt;
+  }
+
+  return path;
+}
+
+/**
+ * Unit-length mean of a set of packed vectors.
+ *
+ * @param {PackedVectors} packed
+ * @param {number[]} indices
+ * @returns {Float32Array}
+ */
+function centroidOf(packed, indices) {
+  const { vectors, dim } = packed;
+  const centroid = new Float32Array(dim);
+  for (const i of indices) {
+    for (let k = 0; k < dim; k++) centroid[k] += vectors[i * dim + k];
+  }
+  let norm = 0;
+  for (let k = 0; k < dim; k++) norm += centroid[k] * centroid[k];
+  norm = Math.sqrt(norm) || 1;
+  for (let k = 0; k < dim; k++) centroid[k] /= norm;
+  return centroid;
+}
+
+/**
+ * @param {PackedVectors} packed
+ * @param {number} i
+ * @param {Float32Array} centroid
+ * @returns {number}
+ */
+function dotCentroid(packed, i, centroid) {
+  const { vectors, dim } = packed;
+  let dot = 0;
+  for (let k = 0; k < dim; k++) dot += vectors[i * dim + k] * centroid[k];
+  return dot;
+}
+
+/**
+ * Split items into blocks of at most `maxSize` by recursive spherical
+ * 2-means. Runs in O(n · dim · log n) time and O(n) extra memory.
+ *
+ * @param {PackedVectors} packed
+ * @param {number[]} indices
+ * @param {number} maxSize
+ * @returns {number[][]}
+ */
+function partitionBlocks(packed, indices, maxSize) {
+  if (indices.length <= maxSize) return [indices];
+
+  // Seed with the first item and the item least similar to it
+  let seedA = centroidOf(packed, [indices[0]]);
+  let farthest = indices[1];
+  let lowest = Infinity;
+  for (const i of indices) {
+    const dot = dotCentroid(packed, i, seedA);
+    if (dot < lowest) {
+      lowest = dot;
+      farthest = i;
+    }
+  }
+  let seedB = centroidOf(packed, [farthest]);
+
+  let sideA = [];
+  let sideB = [];
+  for (let iter = 0; iter < BISECT_ITERATIONS; iter++) {
+    sideA = [];
+    sideB = [];
+    for (const i of indices) {
+      if (dotCentroid(packed, i, seedA) >= dotCentroid(packed, i, seedB)) {
+        sideA.push(i);
+      } else {
+        sideB.push(i);
+      }
+    }
+    if (sideA.length === 0 || sideB.length === 0) break;
+    seedA = centroidOf(packed, sideA);
+    seedB = centroidOf(packed, sideB);
+  }
+
+  // Identical vectors can't be separated; split arbitrarily
+  if (sideA.length === 0 || sideB.length === 0) {
+    const half = Math.ceil(indices.length / 2);
+    sideA = indices.slice(0, half);
+    sideB = indices.slice(half);
+  }
+
+  return [
+    ...partitionBlocks(packed, sideA, maxSize),
+    ...partitionBlocks(packed, sideB, maxSize),
+  ];
+}
+
+/**
+ * @typedef {object} SeriationResult
+ * @property {number[]} order - Ordered indices into the embeddings array
+ * @property {number} initialLength - Path length before refinement
+ * @property {number} finalLength - Path length after refinement. Both are
+ *   measured before the path is turned to start at the anchor, so they
+ *   compare refinement alone.
+ */
+
+/**
+ * @typedef {object} SeriationOptions
+ * @property {string} [algorithm] - Key into SERIATION_ALGORITHMS
+ * @property {boolean} [refine] - Run 2-opt / Or-opt (default true)
+ * @property {PackedMetadata} [metadata] - Use the hybrid distance
+ * @property {number} [anchor] - Item to put first; defaults to an end of
+ *   the items' approximate diameter (see diameterEndpoint())
+ */
+
+/**
+ * Order one block of items with the chosen algorithm.
+ *
+ * @param {PackedVectors} packed
+ * @param {number[]} indices
+ * @param {object} algorithm - Entry of SERIATION_ALGORITHMS
+ * @param {boolean} refine
+ * @returns {{initial: number[], order: number[]}} Global indices
+ */
+function seriateBlock(packed, indices, algorithm, refine) {
+  if (indices.length <= 2) {
+    return { initial: indices.slice(), order: indices.slice() };
+  }
+  const dist = buildDistanceMatrix(packed, indices);
+  const initial = algorithm.order(dist);
+  const order = refine ? refineOrder(initial, dist) : initial;
+  return {
+    initial: initial.map((k) => indices[k]),
+    order: order.map((k) => indices[k]),
+  };
+}
+
+/**
+ * The item farthest from `from`; ties go to the lowest index.
+ *
+ * @param {PackedVectors} packed
+ * @param {number} from
+ * @returns {number}
+ */
+function farthestFrom(packed, from) {
+  let farthest = from;
+  let maxDistance = -Infinity;
+  for (let i = 0; i < packed.n; i++) {
+    const d = vectorDistance(packed, from, i);
+    if (d > maxDistance) {
+      maxDistance = d;
+      farthest = i;
+    }
+  }
+  return farthest;
+}
+
+/**
+ * One end of an approximate diameter (the two items furthest apart), by
+ * a double sweep from the first item: the item farthest from the one
+ * farthest from item 0. It is a natural place for a path to start, and
+ * given the same items in the same order it is always the same one.
+ *
+ * @param {PackedVectors} packed
+ * @returns {number}
+ */
+function diameterEndpoint(packed) {
+  return farthestFrom(packed, farthestFrom(packed, 0));
+}
+
+/**
+ * Make an item the start of an open path. An item inside the path
+ * becomes its start by breaking one of its two edges: either the part
+ * before it is reversed and the rest follows, or the path runs on from
+ * it and returns through the part before it. The cheaper one is taken.
+ *
+ * @param {number[]} order
+ * @param {PackedVectors} packed
+ * @param {number} anchor
+ * @returns {number[]} New order (input is not mutated)
+ */
+function anchorOrder(order, packed, anchor) {
+  const k = order.indexOf(anchor);
+  const last = order.length - 1;
+  if (k <= 0) return order.slice();
+  if (k === last) return order.slice().reverse();
+
+  const backCost =
+    vectorDistance(packed, order[0], order[k + 1]) - vectorDistance(packed, order[k], order[k + 1]);
+  const forwardCost =
+    vectorDistance(packed, order[last], order[k - 1]) - vectorDistance(packed, order[k - 1], order[k]);
+  return backCost <= forwardCost
+    ? [...order.slice(0, k + 1).reverse(), ...order.slice(k + 1)]
+    : [...order.slice(k), ...order.slice(0, k).reverse()];
+}
+
+/**
+ * Seriate packed vectors. Items beyond the algorithm's block size are
+ * partitioned into blocks; the blocks are ordered by their centroids,
+ * each block is ordered internally, and each block is flipped so it
+ * joins its predecessor at the nearer end. The finished path starts at
+ * options.anchor.
+ *
+ * @param {PackedVectors} packed
+ * @param {SeriationOptions} [options]
+ * @param {(text: string) => void} [onProgress]
+ * @returns {SeriationResult}
+ */
+function seriateVectors(packed, options = {}, onProgress = () => {}) {
+  const { n } = packed;
+  if (n <= 1) {
+    return { order: n === 1 ? [0] : [], initialLength: 0, finalLength: 0 };
+  }
+
+  const algorithmId = options.algorithm ?? DEFAULT_SERIATION_ALGORITHM;
+  const algorithm = SERIATION_ALGORITHMS[algorithmId];
+  if (!algorithm) {
+    throw new Error(`Unknown seriation algorithm: ${algorithmId}`);
+  }
+  const refine = options.refine ?? true;
+  const all = Array.from({ length: n }, (_, i) => i);
+
+  const anchor = options.anchor ?? diameterEndpoint(packed);
+  if (anchor < 0 || anchor >= n) {
+    throw new Error(`Anchor ${anchor} is not one of the ${n} items.`);
+  }
+
+  if (n <= algorithm.blockSize) {
+    const { initial, order } = seriateBlock(packed, all, algorithm, refine);
+    const anchored = anchorOrder(order, packed, anchor);
+    return {
+      order: anchored,
+      initialLength: vectorPathLength(initial, packed),
+      finalLength: vectorPathLength(order, packed),
+    };
+  }
+
+  onProgress(`Partitioning ${n} messages into blocks...`);
+  const blocks = partitionBlocks(packed, all, algorithm.blockSize);
+
+  // Order blocks by seriating their centroids
+  const centroids = normalizeEmbeddings(blocks.map((b) => centroidOf(packed, b)));
+  const blockOrder = seriateBlock(
+    centroids,
+    blocks.map((_, i) => i),
+    algorithm,
+    refine
+  ).order;
+
+  /** @type {number[]} */
+  const initial = [];
+  /** @type {number[]} */
+  const order = [];
+  for (let b = 0; b < blockOrder.length; b++) {
+    const block = blocks[blockOrder[b]];
+    onProgress(`Ordering block ${b + 1}/${blocks.length} (${block.length} messages)...`);
+    const result = seriateBlock(packed, block, algorithm, refine);
+
+    // Join at the nearer end. The first block faces the second block.
+    let flip;
+    if (order.length > 0) {
+      const tail = order[order.length - 1];
+      flip =
+        vectorDistance(packed, tail, result.order[result.order.length - 1]) <
+        vectorDistance(packed, tail, result.order[0]);
+    } else {
+      const nextCentroid = centroidOf(packed, blocks[blockOrder[1]]);
+      flip =
+        dotCentroid(packed, result.order[0], nextCentroid) >
+        dotCentroid(packed, result.order[result.order.length - 1], nextCentroid);
+    }
+    if (flip) {
+      result.order.reverse();
+      result.initial.reverse();
+    }
+
+    initial.push(...result.initial);
+    order.push(...result.order);
+  }
+
+  const anchored = anchorOrder(order, packed, anchor);
+  return {
+    order: anchored,
+    initialLength: vectorPathLength(initial, packed),
+    finalLength: vectorPathLength(order, packed),
+  };
+}
+
+/**
+ * Insert items into an existing order one at a time, each where it adds
+ * the least path length (cheapest insertion). O(n · dim) per item, so
+ * new mail can be placed without reseriating the folder.
+ *
+ * @param {PackedVectors} packed
+ * @param {number[]} order - Existing order of indices into packed
+ * @param {number[]} items - Indices to insert
+ * @returns {number[]} New order (input is not mutated)
+ */
+function insertIntoOrder(packed, order, items) {
+  const path = order.slice();
+  // edges[k] = length of the edge between path[k] and path[k + 1]
+  const edges = [];
+  for (let k = 0; k + 1 < path.length; k++) {
+    edges.push(vectorDistance(packed, path[k], path[k + 1]));
+  }
+
+  for (const item of items) {
+    if (path.length === 0) {
+      path.push(item);
+      continue;
+    }
+
+    const toItem = path.map((p) => vectorDistance(packed, p, item));
+    // Position p means "before path[p]"; the ends add a single edge
+    let bestPos = 0;
+    let bestCost = toItem[0];
+    if (toItem[path.length - 1] < bestCost) {
+      bestPos = path.length;
+      bestCost = toItem[path.length - 1];
+    }
+    for (let k = 0; k < edges.length; k++) {
+      const cost = toItem[k] + toItem[k + 1] - edges[k];
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestPos = k + 1;
+      }
+    }
+
+    path.splice(bestPos, 0, item);
+    if (bestPos === 0) {
+      edges.unshift(toItem[0]);
+    } else if (bestPos === path.length - 1) {
+      edges.push(toItem[bestPos - 1]);
+    } else {
+      edges.splice(bestPos - 1, 1, toItem[bestPos - 1], toItem[bestPos]);
+    }
+  }
+
+  return path;
+}
+
+/**
+ * Seriate a list of items: build an initial order with the chosen
+ * algorithm, then (optionally) improve it with local search.
+ * Returns an ordering (array of original indices) such that
+ * adjacent items in the ordering are similar.
+ *
+ * @param {number[][]} embeddings - Array of embedding vectors
+ * @param {SeriationOptions} [options]
+ * @returns {SeriationResult}
+ */
+function seriate(embeddings, options = {}) {
+  const packed = normalizeEmbeddings(embeddings);
+  if (options.metadata) packed.metadata = options.metadata;
+  return seriateVectors(packed, options);
+}
@@ -0,0 +1,33 @@
+/**
+ * Dedicated worker for seriation and topic clustering, so large folders
+ * don't block the background page.
+ *
+ * Receives {task, vectors, n, dim, options} (vectors as a transferred
+ * Float32Array of unit-length rows), where task is "seriate" or
+ * "cluster". Seriation uses the hybrid distance when options.metadata
+ * (see packMetadata()) is given. Replies with any number of
+ * {type: "progress", text} messages, then {type: "done", result} or
+ * {type: "error", error}.
+ */
+
+importScripts("seriation.js", "clustering.js");
+
+const TASKS = {
+  seriate: (packed, options, onProgress) =>
+    seriateVectors({ ...packed, metadata: options?.metadata }, options, onProgress),
+  cluster: (packed, options, onProgress) => clusterVectors(packed, onProgress),
+};
+
+self.onmessage = (event) => {
+  const { task = "seriate", vectors, n, dim, options } = event.data;
+  try {
+    const run = TASKS[task];
+    if (!run) throw new Error(`Unknown task: ${task}`);
+    const result = run({ vectors, n, dim }, options, (text) =>
+      self.postMessage({ type: "progress", text })
+    );
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", error: err.message ?? String(err) });
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * Conversation threading from References / In-Reply-To, so threads can
+ * be seriated as units.
+ */
+
+/**
+ * Message-IDs in a References or In-Reply-To header value, without
+ * angle brackets (the form MessageHeader.headerMessageId uses).
+ *
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+function parseMessageIdList(value) {
+  return [...(value ?? "").matchAll(/<([^<>\s]+)>/g)].map((match) => match[1]);
+}
+
+/**
+ * @typedef {object} ThreadHeaders
+ * @property {string} messageId - Message-ID header value
+ * @property {string[]} references - Ancestors, oldest first
+ * @property {string | null} inReplyTo - Parent
+ * @property {string | null} listId - List-Id, for mailing list mail
+ * @property {string | null} [author] - Sender, for the hybrid distance
+ * @property {number | null} [date] - Date in ms, for the hybrid distance;
+ *   both are missing from entries stored before they were kept
+ */
+
+/**
+ * Pick the headers threading, list grouping and the hybrid distance need
+ * out of a message and its messages.getFull() result.
+ *
+ * @param {object} message - MessageHeader
+ * @param {object} fullMessage
+ * @returns {ThreadHeaders}
+ */
+function threadHeadersOf(message, fullMessage) {
+  const headers = fullMessage.headers ?? {};
+  const listId = headers["list-id"]?.[0];
+  return {
+    messageId: message.headerMessageId,
+    references: parseMessageIdList(headers.references?.join(" ")),
+    inReplyTo: parseMessageIdList(headers["in-reply-to"]?.[0])[0] ?? null,
+    // "Name <list.example.com>" -> "list.example.com"
+    listId: listId ? (/<([^<>]+)>/.exec(listId)?.[1] ?? listId.trim()).toLowerCase() : null,
+    author: message.author ?? null,
+    date: message.date ? new Date(message.date).getTime() : null,
+  };
+}
+
+/**
+ * Group messages into threads: a message joins the thread of every
+ * message it references, even one that isn't in the set, so siblings
+ * whose common parent is missing still end up together.
+ *
+ * @param {object[]} messages - MessageHeaders
+ * @param {Map<string, ThreadHeaders>} headers - By Message-ID; messages
+ *   without an entry are threads of their own
+ * @returns {number[][]} Threads as indices into `messages`, each in date
+ *   order; threads ordered by their first message's position
+ */
+function groupThreads(messages, headers) {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.has(root) && parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    while (id !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  for (const message of messages) {
+    const id = message.headerMessageId;
+    if (!parent.has(id)) parent.set(id, id);
+    const entry = headers.get(id);
+    if (!entry) continue;
+    for (const ancestor of [...entry.references, entry.inReplyTo].filter(Boolean)) {
+      if (!parent.has(ancestor)) parent.set(ancestor, ancestor);
+      union(ancestor, id);
+    }
+  }
+
+  /** @type {Map<string, number[]>} */
+  const threads = new Map();
+  messages.forEach((message, index) => {
+    const root = find(message.headerMessageId);
+    const thread = threads.get(root) ?? [];
+    thread.push(index);
+    threads.set(root, thread);
+  });
+
+  const time = (index) => new Date(messages[index].date).getTime();
+  return [...threads.values()].map((thread) => thread.sort((a, b) => time(a) - time(b) || a - b));
+}
@@ -0,0 +1,109 @@
+/**
+ * Dedicated worker for the viewer's UMAP layout, so large folders don't
+ * freeze the page and the layout can be drawn as it settles.
+ *
+ * Receives {vectors, n, dim, options, known} with vectors as a
+ * transferred n × dim Float32Array. options are UmapLayoutOptions; known
+ * ({indices, positions}) is a saved layout of some of the rows, onto
+ * which the others are placed with UMAP's transform instead of a fit.
+ * Replies with any number of {type: "epoch", epoch, nEpochs, positions}
+ * messages while fitting, then {type: "done", positions} or
+ * {type: "error", error}. positions are [x, y] per row.
+ */
+
+importScripts("umap-js.min.js", "seriation.js");
+
+// Least time between two intermediate layouts sent to the page
+const EPOCH_POST_INTERVAL_MS = 100;
+
+/**
+ * @typedef {object} UmapLayoutOptions
+ * @property {number} nNeighbors
+ * @property {number} minDist
+ * @property {number} seed - Seeds the random generator, for repeatable layouts
+ * @property {"euclidean" | "cosine" | "hybrid"} metric
+ * @property {PackedMetadata} [metadata] - Required for "hybrid"
+ */
+
+/**
+ * Small seeded random generator (mulberry32).
+ *
+ * @param {number} seed
+ * @returns {() => number} Uniform in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A UMAP distance function for the chosen metric, or undefined for
+ * UMAP's own euclidean distance. UMAP passes the rows themselves, so
+ * they are looked up by identity.
+ *
+ * @param {number[][]} rows
+ * @param {UmapLayoutOptions} options
+ * @returns {((a: number[], b: number[]) => number) | undefined}
+ */
+function distanceFnFor(rows, options) {
+  if (options.metric === "euclidean") return undefined;
+  const packed = normalizeEmbeddings(rows);
+  if (options.metric === "hybrid") {
+    if (!options.metadata) throw new Error("The hybrid distance needs message metadata.");
+    packed.metadata = options.metadata;
+  }
+  const indexOf = new Map(rows.map((row, i) => [row, i]));
+  return (a, b) => vectorDistance(packed, indexOf.get(a), indexOf.get(b));
+}
+
+self.onmessage = (event) => {
+  const { vectors, n, dim, options, known } = event.data;
+  try {
+    const rows = Array.from({ length: n }, (_, i) =>
+      Array.from(vectors.subarray(i * dim, (i + 1) * dim))
+    );
+    const UMAPClass = UMAP.UMAP ?? UMAP;
+    const umap = new UMAPClass({
+      nNeighbors: options.nNeighbors,
+      minDist: options.minDist,
+      nComponents: 2,
+      random: seededRandom(options.seed),
+      distanceFn: distanceFnFor(rows, options),
+    });
+
+    if (known) {
+      // Place the other rows on the saved layout; the saved rows stay put
+      const isKnown = new Set(known.indices);
+      const fresh = rows.map((_, i) => i).filter((i) => !isKnown.has(i));
+      umap.initializeFit(known.indices.map((i) => rows[i]));
+      umap.embedding = known.positions.map((p) => p.slice());
+      const placed = umap.transform(fresh.map((i) => rows[i]));
+      const positions = new Array(n);
+      known.indices.forEach((row, k) => (positions[row] = known.positions[k]));
+      fresh.forEach((row, k) => (positions[row] = placed[k]));
+      self.postMessage({ type: "done", positions });
+      return;
+    }
+
+    const nEpochs = umap.initializeFit(rows);
+    let lastPost = 0;
+    for (let epoch = 0; epoch < nEpochs; epoch++) {
+      umap.step();
+      const now = Date.now();
+      if (now - lastPost >= EPOCH_POST_INTERVAL_MS) {
+        lastPost = now;
+        const positions = umap.getEmbedding();
+        self.postMessage({ type: "epoch", epoch: epoch + 1, nEpochs, positions });
+      }
+    }
+    self.postMessage({ type: "done", positions: umap.getEmbedding() });
+  } catch (err) {
+    self.postMessage({ type: "error", error: err.message ?? String(err) });
+  }
+};
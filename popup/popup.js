@@ -1,20 +1,299 @@
+const providerSelect = document.getElementById("providerId");
+const baseUrlInput = document.getElementById("baseUrl");
+const modelInput = document.getElementById("model");
 const apiKeyInput = document.getElementById("apiKey");
+const scopeSelect = document.getElementById("scope");
+const folderPicker = document.getElementById("folderPicker");
+const folderTree = document.getElementById("folderTree");
+const algorithmSelect = document.getElementById("algorithm");
+const refineCheckbox = document.getElementById("refine");
+const threadsCheckbox = document.getElementById("threads");
+const anchorSelect = document.getElementById("anchor");
+const maxTokensInput = document.getElementById("maxTokensPerChunk");
+const maxChunksInput = document.getElementById("maxChunks");
+const chunkCombineSelect = document.getElementById("chunkCombine");
+const autoSeriateCheckbox = document.getElementById("autoSeriate");
+const autoSeriateLabel = document.getElementById("autoSeriateLabel");
 const saveKeyBtn = document.getElementById("saveKey");
 const seriateBtn = document.getElementById("seriate");
+const clearOrderBtn = document.getElementById("clearOrder");
 const viewUmapBtn = document.getElementById("viewUmap");
+const searchQueryInput = document.getElementById("searchQuery");
+const searchScopeSelect = document.getElementById("searchScope");
+const searchBtn = document.getElementById("search");
+const selectTopInput = document.getElementById("selectTop");
 const statusDiv = document.getElementById("status");
 
-// Load saved API key
-browser.storage.local.get("apiKey").then(({ apiKey }) => {
-  if (apiKey) {
-    apiKeyInput.value = apiKey;
-  }
+for (const [id, provider] of Object.entries(EMBEDDING_PROVIDERS)) {
+  const option = document.createElement("option");
+  option.value = id;
+  option.textContent = provider.label;
+  providerSelect.appendChild(option);
+}
+
+/**
+ * Show the selected provider's defaults as placeholders, so empty
+ * fields mean "use the default".
+ */
+function updatePlaceholders() {
+  const provider = EMBEDDING_PROVIDERS[providerSelect.value];
+  baseUrlInput.placeholder = provider.local ? "Not used" : provider.baseUrl || "https://...";
+  modelInput.placeholder = provider.model;
+  apiKeyInput.placeholder = provider.local
+    ? "Not used"
+    : provider.requiresKey ? "Required" : "Optional";
+  baseUrlInput.disabled = !!provider.local;
+  modelInput.disabled = !!provider.local;
+  apiKeyInput.disabled = !!provider.local;
+}
+
+// Load saved provider settings
+browser.storage.local.get(["provider", "apiKey"]).then(({ provider, apiKey }) => {
+  const stored = provider ?? { id: DEFAULT_PROVIDER_ID, apiKey };
+  providerSelect.value = EMBEDDING_PROVIDERS[stored.id] ? stored.id : DEFAULT_PROVIDER_ID;
+  baseUrlInput.value = stored.baseUrl ?? "";
+  modelInput.value = stored.model ?? "";
+  apiKeyInput.value = stored.apiKey ?? "";
+  updatePlaceholders();
+});
+
+providerSelect.addEventListener("change", () => {
+  baseUrlInput.value = "";
+  modelInput.value = "";
+  updatePlaceholders();
 });
 
 saveKeyBtn.addEventListener("click", async () => {
-  const key = apiKeyInput.value.trim();
-  await browser.storage.local.set({ apiKey: key });
-  statusDiv.textContent = "API key saved.";
+  const provider = {
+    id: providerSelect.value,
+    baseUrl: baseUrlInput.value.trim(),
+    model: modelInput.value.trim(),
+    apiKey: apiKeyInput.value.trim(),
+  };
+
+  // Self-hosted servers usually don't send CORS headers, so ask for
+  // access to their origin. Must happen inside the click handler.
+  let message = "Settings saved.";
+  const { baseUrl } = resolveProviderSettings(provider);
+  if (EMBEDDING_PROVIDERS[provider.id].selfHosted && baseUrl) {
+    let origin;
+    try {
+      origin = new URL(baseUrl).origin;
+    } catch (err) {
+      statusDiv.textContent = `Invalid base URL: ${baseUrl}`;
+      return;
+    }
+    const granted = await browser.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      message = `Settings saved, but access to ${origin} was not granted.`;
+    }
+  }
+
+  await browser.storage.local.set({ provider });
+  statusDiv.textContent = message;
+});
+
+for (const [id, algorithm] of Object.entries(SERIATION_ALGORITHMS)) {
+  const option = document.createElement("option");
+  option.value = id;
+  option.textContent = algorithm.label;
+  algorithmSelect.appendChild(option);
+}
+
+/** @type {FolderSelection} */
+let folderSelection = { accounts: [], folders: [] };
+
+/**
+ * @param {string} text
+ * @param {object} data - dataset entries for the checkbox
+ * @param {boolean} checked
+ * @returns {HTMLLabelElement}
+ */
+function folderTreeItem(text, data, checked) {
+  const label = document.createElement("label");
+  label.className = "checkbox";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = checked;
+  Object.assign(checkbox.dataset, data);
+  label.append(checkbox, ` ${text}`);
+  return label;
+}
+
+/**
+ * List every account and folder with a checkbox. Folders of a chosen
+ * account are included already, so their own boxes are disabled.
+ */
+async function buildFolderTree() {
+  const items = [];
+  for (const account of await browser.accounts.list(false)) {
+    const accountChosen = folderSelection.accounts.includes(account.id);
+    const accountItem = folderTreeItem(account.name, { accountId: account.id }, accountChosen);
+    accountItem.classList.add("account");
+    items.push(accountItem);
+    for (const { folder, depth } of await accountFolders(account)) {
+      const item = folderTreeItem(
+        folder.name,
+        { folderId: folder.id, accountId: account.id },
+        accountChosen || folderSelection.folders.includes(folder.id)
+      );
+      item.style.paddingLeft = `${(depth + 1) * 14}px`;
+      item.querySelector("input").disabled = accountChosen;
+      items.push(item);
+    }
+  }
+  folderTree.replaceChildren(...items);
+}
+
+folderTree.addEventListener("change", () => {
+  const accounts = [...folderTree.querySelectorAll("input:not([data-folder-id]):checked")]
+    .map((input) => input.dataset.accountId);
+  // Folders shown checked only because their account was chosen are not
+  // chosen themselves
+  const folders = [...folderTree.querySelectorAll("input[data-folder-id]:checked:not(:disabled)")]
+    .filter((input) => !accounts.includes(input.dataset.accountId))
+    .map((input) => input.dataset.folderId);
+  folderSelection = { accounts, folders };
+  saveSeriationSettings();
+  buildFolderTree();
+});
+
+function updateFolderPicker() {
+  folderPicker.hidden = scopeSelect.value !== "folders";
+  if (!folderPicker.hidden && !folderTree.hasChildNodes()) {
+    buildFolderTree();
+  }
+}
+
+// Hybrid distance weights, by DistanceWeights key
+const weightInputs = {
+  embedding: document.getElementById("weightEmbedding"),
+  sender: document.getElementById("weightSender"),
+  domain: document.getElementById("weightDomain"),
+  list: document.getElementById("weightList"),
+  time: document.getElementById("weightTime"),
+  timeScaleDays: document.getElementById("timeScaleDays"),
+};
+
+/**
+ * @returns {DistanceWeights}
+ */
+function readDistanceWeights() {
+  const weights = {};
+  for (const [key, input] of Object.entries(weightInputs)) {
+    const value = Number(input.value);
+    weights[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_DISTANCE_WEIGHTS[key];
+    input.value = weights[key];
+  }
+  return weights;
+}
+
+// Load saved seriation settings
+browser.storage.local.get("seriation").then(({ seriation = {} }) => {
+  algorithmSelect.value = SERIATION_ALGORITHMS[seriation.algorithm]
+    ? seriation.algorithm
+    : DEFAULT_SERIATION_ALGORITHM;
+  refineCheckbox.checked = seriation.refine ?? true;
+  threadsCheckbox.checked = seriation.threads ?? false;
+  anchorSelect.value = seriation.anchor ?? "auto";
+  const weights = { ...DEFAULT_DISTANCE_WEIGHTS, ...seriation.weights };
+  for (const [key, input] of Object.entries(weightInputs)) input.value = weights[key];
+  scopeSelect.value = seriation.scope ?? "folder";
+  folderSelection = { accounts: [], folders: [], ...seriation.folderSelection };
+  updateFolderPicker();
+});
+
+function saveSeriationSettings() {
+  browser.storage.local.set({
+    seriation: {
+      algorithm: algorithmSelect.value,
+      refine: refineCheckbox.checked,
+      threads: threadsCheckbox.checked,
+      anchor: anchorSelect.value,
+      weights: readDistanceWeights(),
+      scope: scopeSelect.value,
+      folderSelection,
+    },
+  });
+}
+
+algorithmSelect.addEventListener("change", saveSeriationSettings);
+refineCheckbox.addEventListener("change", saveSeriationSettings);
+threadsCheckbox.addEventListener("change", saveSeriationSettings);
+anchorSelect.addEventListener("change", saveSeriationSettings);
+for (const input of Object.values(weightInputs)) {
+  input.addEventListener("change", saveSeriationSettings);
+}
+scopeSelect.addEventListener("change", () => {
+  updateFolderPicker();
+  saveSeriationSettings();
+});
+
+for (const [id, label] of Object.entries(CHUNK_COMBINE_MODES)) {
+  const option = document.createElement("option");
+  option.value = id;
+  option.textContent = label;
+  chunkCombineSelect.appendChild(option);
+}
+
+// Load saved chunking policy
+browser.storage.local.get("chunking").then(({ chunking }) => {
+  const policy = resolveChunkingPolicy(chunking);
+  maxTokensInput.value = policy.maxTokensPerChunk;
+  maxChunksInput.value = policy.maxChunks;
+  chunkCombineSelect.value = policy.combine;
+});
+
+async function saveChunkingPolicy() {
+  // Keep settings that have no control here, like overlapTokens
+  const { chunking: stored } = await browser.storage.local.get("chunking");
+  const policy = resolveChunkingPolicy({
+    ...stored,
+    maxTokensPerChunk: maxTokensInput.value,
+    maxChunks: maxChunksInput.value,
+    combine: chunkCombineSelect.value,
+  });
+  await browser.storage.local.set({ chunking: policy });
+}
+
+maxTokensInput.addEventListener("change", saveChunkingPolicy);
+maxChunksInput.addEventListener("change", saveChunkingPolicy);
+chunkCombineSelect.addEventListener("change", saveChunkingPolicy);
+
+// Load saved "more like this" settings
+browser.storage.local.get("moreLikeThis").then(({ moreLikeThis = {} }) => {
+  selectTopInput.value = moreLikeThis.selectTop || "";
+});
+
+selectTopInput.addEventListener("change", () => {
+  const selectTop = Math.max(0, Math.floor(Number(selectTopInput.value) || 0));
+  selectTopInput.value = selectTop || "";
+  browser.storage.local.set({ moreLikeThis: { selectTop } });
+});
+
+// Auto-seriate applies to the folder displayed when the popup opened
+let autoSeriateFolderId = null;
+browser.runtime.sendMessage({ action: "getAutoSeriate" }).then(
+  ({ folderId, folderName, enabled }) => {
+    autoSeriateFolderId = folderId;
+    autoSeriateLabel.textContent = `Auto-seriate new mail in ${folderName}`;
+    autoSeriateCheckbox.checked = enabled;
+    autoSeriateCheckbox.disabled = false;
+  },
+  () => {
+    autoSeriateLabel.textContent = "Auto-seriate: no folder selected";
+  }
+);
+
+autoSeriateCheckbox.addEventListener("change", async () => {
+  await browser.runtime.sendMessage({
+    action: "setAutoSeriate",
+    folderId: autoSeriateFolderId,
+    enabled: autoSeriateCheckbox.checked,
+  });
+  statusDiv.textContent = autoSeriateCheckbox.checked
+    ? "New mail will be inserted into this folder's order after it is seriated."
+    : "Auto-seriate turned off.";
 });
 
 seriateBtn.addEventListener("click", () => {
@@ -23,6 +302,51 @@ seriateBtn.addEventListener("click", () => {
   browser.runtime.sendMessage({ action: "seriate" });
 });
 
+// Matches listed in the status area after a search
+const SEARCH_RESULTS_SHOWN = 5;
+
+async function runSearch() {
+  const scope = searchScopeSelect.value;
+  searchBtn.disabled = true;
+  statusDiv.textContent = "Searching...";
+  try {
+    const { ranked, matches } = await browser.runtime.sendMessage({
+      action: "search",
+      query: searchQueryInput.value,
+      scope,
+      limit: SEARCH_RESULTS_SHOWN,
+    });
+    if (ranked === 0) {
+      statusDiv.textContent = "No cached embeddings to search. Seriate a folder first.";
+      return;
+    }
+    const lines = matches.map(({ score, subject, folderName }) =>
+      `${score.toFixed(2)}  ${subject || "(No subject)"}` +
+      (scope === "all" ? ` — ${folderName}` : "")
+    );
+    statusDiv.textContent =
+      `Ranked ${ranked} messages; sort by the Seriate column to see them.\n${lines.join("\n")}`;
+  } catch (err) {
+    statusDiv.textContent = `Error: ${err.message}`;
+  } finally {
+    searchBtn.disabled = false;
+  }
+}
+
+searchBtn.addEventListener("click", runSearch);
+searchQueryInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") runSearch();
+});
+
+clearOrderBtn.addEventListener("click", async () => {
+  try {
+    await browser.runtime.sendMessage({ action: "clearOrder" });
+    statusDiv.textContent = "Cleared this folder's order.";
+  } catch (err) {
+    statusDiv.textContent = `Error: ${err.message}`;
+  }
+});
+
 // Listen for status updates from background
 browser.runtime.onMessage.addListener((message) => {
   if (message.action === "progress") {
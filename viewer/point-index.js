@@ -0,0 +1,131 @@
+/**
+ * Uniform grid over the viewer's world coordinates ([0, 1] on both axes),
+ * so hover, rectangle and lasso selection only look at the points near
+ * the cursor instead of scanning all of them.
+ */
+
+// Average points per cell the grid aims for
+const GRID_POINTS_PER_CELL = 8;
+const GRID_MAX_CELLS_PER_SIDE = 256;
+
+class PointGrid {
+  /**
+   * @param {{x: number, y: number}[]} points - In world coordinates
+   */
+  constructor(points) {
+    this.size = Math.min(
+      GRID_MAX_CELLS_PER_SIDE,
+      Math.max(1, Math.ceil(Math.sqrt(points.length / GRID_POINTS_PER_CELL)))
+    );
+    /** @type {object[][]} Row-major, size × size */
+    this.cells = Array.from({ length: this.size * this.size }, () => []);
+    for (const point of points) {
+      this.cells[this.cellIndex(this.cellOf(point.x), this.cellOf(point.y))].push(point);
+    }
+  }
+
+  /**
+   * @param {number} value - World coordinate
+   * @returns {number} Column or row, clamped to the grid
+   */
+  cellOf(value) {
+    return Math.min(this.size - 1, Math.max(0, Math.floor(value * this.size)));
+  }
+
+  /**
+   * @param {number} column
+   * @param {number} row
+   * @returns {number}
+   */
+  cellIndex(column, row) {
+    return row * this.size + column;
+  }
+
+  /**
+   * Points inside a world-space rectangle.
+   *
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @returns {object[]}
+   */
+  inRect(x1, y1, x2, y2) {
+    const left = Math.min(x1, x2);
+    const right = Math.max(x1, x2);
+    const top = Math.min(y1, y2);
+    const bottom = Math.max(y1, y2);
+    const found = [];
+    for (let row = this.cellOf(top); row <= this.cellOf(bottom); row++) {
+      for (let column = this.cellOf(left); column <= this.cellOf(right); column++) {
+        for (const point of this.cells[this.cellIndex(column, row)]) {
+          if (point.x >= left && point.x <= right && point.y >= top && point.y <= bottom) {
+            found.push(point);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Points inside a world-space polygon, such as a lasso.
+   *
+   * @param {{x: number, y: number}[]} polygon - Vertices; the last joins the first
+   * @returns {object[]}
+   */
+  inPolygon(polygon) {
+    if (polygon.length < 3) return [];
+    const xs = polygon.map((vertex) => vertex.x);
+    const ys = polygon.map((vertex) => vertex.y);
+    return this.inRect(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)).filter(
+      (point) => polygonContains(polygon, point.x, point.y)
+    );
+  }
+
+  /**
+   * The point nearest to a world position within an ellipse, whose radii
+   * differ when the view is not square.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radiusX
+   * @param {number} radiusY
+   * @returns {object | null}
+   */
+  nearest(x, y, radiusX, radiusY) {
+    let best = null;
+    let bestDistance = 1;
+    for (const point of this.inRect(x - radiusX, y - radiusY, x + radiusX, y + radiusY)) {
+      const dx = (point.x - x) / radiusX;
+      const dy = (point.y - y) / radiusY;
+      const distance = dx * dx + dy * dy;
+      if (distance <= bestDistance) {
+        best = point;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Even-odd test: a ray from the point crosses the polygon's edges an odd
+ * number of times when the point is inside.
+ *
+ * @param {{x: number, y: number}[]} polygon
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function polygonContains(polygon, x, y) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
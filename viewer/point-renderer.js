@@ -0,0 +1,227 @@
+/**
+ * Point renderers for the UMAP viewer. Points are drawn with WebGL as
+ * GPU point sprites, so panning and zooming only changes a few uniforms;
+ * where WebGL is unavailable a Canvas2D renderer draws the same data.
+ *
+ * Both take positions in world coordinates ([0, 1]) and 8-bit RGBA
+ * colors, and draw them through the viewer's transform:
+ * screen = world × canvas size × scale + offset.
+ */
+
+const POINT_BACKGROUND = [0xe0 / 255, 0xf0 / 255, 1, 1];
+
+/**
+ * @typedef {object} PointView
+ * @property {number} width - CSS pixels
+ * @property {number} height - CSS pixels
+ * @property {number} scale
+ * @property {number} offsetX - CSS pixels
+ * @property {number} offsetY - CSS pixels
+ * @property {number} radius - Point radius in CSS pixels
+ */
+
+const POINT_VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec4 a_color;
+uniform vec2 u_size;
+uniform float u_scale;
+uniform vec2 u_offset;
+uniform float u_pointSize;
+varying vec4 v_color;
+void main() {
+  vec2 screen = a_position * u_size * u_scale + u_offset;
+  vec2 clip = screen / u_size * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  gl_PointSize = u_pointSize;
+  v_color = a_color;
+}
+`;
+
+const POINT_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec4 v_color;
+void main() {
+  vec2 fromCenter = gl_PointCoord - 0.5;
+  float distance = length(fromCenter);
+  if (distance > 0.5) discard;
+  // Soften the edge by about a pixel
+  float edge = 1.0 - smoothstep(0.4, 0.5, distance);
+  gl_FragColor = vec4(v_color.rgb, v_color.a * edge);
+}
+`;
+
+class WebGLPointRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {WebGLRenderingContext} gl
+   */
+  constructor(canvas, gl) {
+    this.canvas = canvas;
+    this.gl = gl;
+    this.count = 0;
+    this.dpr = 1;
+
+    const program = gl.createProgram();
+    for (const [type, source] of [
+      [gl.VERTEX_SHADER, POINT_VERTEX_SHADER],
+      [gl.FRAGMENT_SHADER, POINT_FRAGMENT_SHADER],
+    ]) {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Point shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+      }
+      gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Point shaders failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+    gl.useProgram(program);
+
+    this.positionBuffer = gl.createBuffer();
+    this.colorBuffer = gl.createBuffer();
+    this.positionLocation = gl.getAttribLocation(program, "a_position");
+    this.colorLocation = gl.getAttribLocation(program, "a_color");
+    this.uniforms = {
+      size: gl.getUniformLocation(program, "u_size"),
+      scale: gl.getUniformLocation(program, "u_scale"),
+      offset: gl.getUniformLocation(program, "u_offset"),
+      pointSize: gl.getUniformLocation(program, "u_pointSize"),
+    };
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.clearColor(...POINT_BACKGROUND);
+  }
+
+  /**
+   * @param {number} width - CSS pixels
+   * @param {number} height - CSS pixels
+   * @param {number} dpr - Device pixel ratio
+   */
+  resize(width, height, dpr) {
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
+    this.dpr = dpr;
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * @param {Float32Array} positions - x, y per point
+   * @param {Uint8Array} colors - r, g, b, a per point
+   */
+  setPoints(positions, colors) {
+    const gl = this.gl;
+    this.count = positions.length / 2;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(this.positionLocation);
+    gl.vertexAttribPointer(this.positionLocation, 2, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, colors, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(this.colorLocation);
+    gl.vertexAttribPointer(this.colorLocation, 4, gl.UNSIGNED_BYTE, true, 0, 0);
+  }
+
+  /**
+   * @param {PointView} view
+   */
+  draw(view) {
+    const gl = this.gl;
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (this.count === 0) return;
+    gl.uniform2f(this.uniforms.size, view.width, view.height);
+    gl.uniform1f(this.uniforms.scale, view.scale);
+    gl.uniform2f(this.uniforms.offset, view.offsetX, view.offsetY);
+    gl.uniform1f(this.uniforms.pointSize, 2 * view.radius * this.dpr);
+    gl.drawArrays(gl.POINTS, 0, this.count);
+  }
+}
+
+class CanvasPointRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.positions = new Float32Array(0);
+    /** @type {Map<string, number[]>} Fill style -> point indices */
+    this.byColor = new Map();
+  }
+
+  /**
+   * @param {number} width - CSS pixels
+   * @param {number} height - CSS pixels
+   * @param {number} dpr - Device pixel ratio
+   */
+  resize(width, height, dpr) {
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /**
+   * @param {Float32Array} positions - x, y per point
+   * @param {Uint8Array} colors - r, g, b, a per point
+   */
+  setPoints(positions, colors) {
+    this.positions = positions;
+    // Points are drawn a color at a time, since changing the fill style
+    // costs more than drawing
+    this.byColor = new Map();
+    for (let i = 0; i < positions.length / 2; i++) {
+      const c = i * 4;
+      const style = `rgba(${colors[c]}, ${colors[c + 1]}, ${colors[c + 2]}, ${colors[c + 3] / 255})`;
+      const indices = this.byColor.get(style) ?? [];
+      indices.push(i);
+      this.byColor.set(style, indices);
+    }
+  }
+
+  /**
+   * @param {PointView} view
+   */
+  draw(view) {
+    const { ctx, positions } = this;
+    const { width, height, scale, offsetX, offsetY, radius } = view;
+    ctx.fillStyle = "#e0f0ff";
+    ctx.fillRect(0, 0, width, height);
+    for (const [style, indices] of this.byColor) {
+      ctx.fillStyle = style;
+      ctx.beginPath();
+      for (const i of indices) {
+        const x = positions[i * 2] * width * scale + offsetX;
+        const y = positions[i * 2 + 1] * height * scale + offsetY;
+        if (x < -radius || x > width + radius || y < -radius || y > height + radius) continue;
+        ctx.moveTo(x + radius, y);
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+      }
+      ctx.fill();
+    }
+  }
+}
+
+/**
+ * WebGL renderer if the canvas supports it, Canvas2D otherwise.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @returns {WebGLPointRenderer | CanvasPointRenderer}
+ */
+function createPointRenderer(canvas) {
+  const gl = canvas.getContext("webgl", { antialias: false, premultipliedAlpha: false });
+  if (gl) {
+    try {
+      return new WebGLPointRenderer(canvas, gl);
+    } catch (err) {
+      // A context was created, so this canvas can't fall back to 2D
+      console.warn("Seriate: WebGL point rendering failed:", err);
+      const replacement = canvas.cloneNode();
+      canvas.replaceWith(replacement);
+      return new CanvasPointRenderer(replacement);
+    }
+  }
+  return new CanvasPointRenderer(canvas);
+}
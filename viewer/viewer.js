@@ -2,8 +2,11 @@
  * UMAP Viewer - Visualize emails in 2D space based on embedding similarity.
  */
 
+// Points are drawn on their own canvas; hover, selection, search rings
+// and topic labels on the overlay canvas above it, which takes the input
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
+const pointRenderer = createPointRenderer(document.getElementById("points"));
 const tooltip = document.getElementById("tooltip");
 const statusEl = document.getElementById("status");
 const loadingEl = document.getElementById("loading");
@@ -16,11 +19,38 @@ const selectAllBtn = document.getElementById("select-all-btn");
 const selectNoneBtn = document.getElementById("select-none-btn");
 const archiveBtn = document.getElementById("archive-btn");
 const senderSummary = document.getElementById("sender-summary");
+const topicSummary = document.getElementById("topic-summary");
+const searchInput = document.getElementById("search");
+const recomputeBtn = document.getElementById("recompute");
+const nNeighborsInput = document.getElementById("nNeighbors");
+const minDistInput = document.getElementById("minDist");
+const seedInput = document.getElementById("seed");
+const metricSelect = document.getElementById("metric");
+const colorBySelect = document.getElementById("colorBy");
+const selectToolSelect = document.getElementById("selectTool");
+const legendEl = document.getElementById("legend");
 
-/** @type {{message: object, embedding: number[], x: number, y: number, color: string, alpha: number, isArchived: boolean}[]} */
+/**
+ * One point per message, or per thread when threads are kept together.
+ * `messages` is in date order and `message` is the latest of them; `key`
+ * (the first message's Message-ID) identifies the point in saved layouts.
+ *
+ * `color` and `group` (its legend entry, null in continuous color modes)
+ * come from the "Color by" mode.
+ *
+ * @type {{key: string, message: object, messages: object[], embedding: number[], x: number, y: number, color: number[], group: string | null, alpha: number, isArchived: boolean, cluster: number}[]}
+ */
 let points = [];
 let hoveredPoint = null;
-let selectedPoints = [];
+/** @type {Set<object>} */
+let selectedPoints = new Set();
+
+// Spatial index of the points, rebuilt whenever they move
+let pointGrid = new PointGrid([]);
+// Whether the renderer's copy of the points is stale
+let pointsDirty = true;
+// Points that contain a search match, for ringing
+let searchMatchPoints = [];
 
 // View transform
 let scale = 1;
@@ -30,6 +60,10 @@ let offsetY = 0;
 // Selection state
 let isSelecting = false;
 let selectionStart = null;
+// How a drag changes the selection: "replace", "add" (Shift) or "remove" (Alt)
+let selectionMode = "replace";
+/** @type {{x: number, y: number}[] | null} Screen path of the lasso being drawn */
+let lassoPath = null;
 
 // Pan state
 let isPanning = false;
@@ -41,30 +75,84 @@ const POINT_RADIUS = 3;
 let minDate = 0;
 let maxDate = 0;
 
+// Folders shown, and the account names used to tell them apart
+let folderIds = [];
+/** @type {Map<string, string>} Account id -> name */
+let accountNames = new Map();
+let multipleAccounts = false;
+
+// Whether points are threads rather than single messages
+let threadPoints = false;
+
+// Topics of the shown folders, from the last seriation
+/** @type {Object<number, string>} Cluster id -> label */
+let topicLabels = {};
+/** @type {{cluster: number, x: number, y: number}[]} World-space centroids */
+let topicCentroids = [];
+
+// UMAP parameters, adjustable in the header and kept in storage
+const DEFAULT_LAYOUT_SETTINGS = { nNeighbors: 15, minDist: 0.1, seed: 42, metric: "euclidean" };
+/** @type {UmapLayoutOptions} */
+let layoutSettings = { ...DEFAULT_LAYOUT_SETTINGS };
+// What besides the parameters a saved layout depends on
+let layoutBase = {};
+/** @type {PackedMetadata | undefined} For the hybrid metric */
+let layoutMetadata;
+/** @type {DistanceWeights | undefined} */
+let distanceWeights;
+/** @type {(() => void) | null} Stops the layout in progress */
+let cancelLayout = null;
+// Counts layouts started; a layout whose number is no longer current was
+// superseded and its results are dropped
+let layoutGeneration = 0;
+
+// Closest search matches to highlight
+const SEARCH_HIGHLIGHT_COUNT = 50;
+/** @type {Set<string> | null} Message-IDs of search matches, null when not searching */
+let searchMatches = null;
+/** @type {Map<string, number> | null} Similarity of every message to the query */
+let searchScores = null;
+
+// "Color by" mode, a key of COLOR_MODES
+let colorBy = "date";
+/** @type {{key: string, label: string, color: number[], count: number}[]} */
+let legendGroups = [];
+// Legend entry whose points are the only ones shown, or null
+let legendFilter = null;
+/** @type {Map<string, {name: string, color: number[] | null}>} Tag key -> tag */
+let tagsByKey = new Map();
+
 async function init() {
   try {
-    setStatus("Finding active folder...");
-
-    const mailTabs = await browser.mailTabs.query({});
-    const activeTab = mailTabs.find((t) => t.active) ?? mailTabs[0];
-    if (!activeTab) {
-      throw new Error("No mail tab found.");
-    }
-    const fullTab = await browser.mailTabs.get(activeTab.id);
-    if (!fullTab.displayedFolder) {
-      throw new Error("No folder selected.");
+    setStatus("Finding folders...");
+
+    // Show the folders chosen for seriation, or else the displayed one
+    const { seriation = {} } = await browser.storage.local.get("seriation");
+    let folders;
+    if (seriation.scope === "folders") {
+      folders = await resolveFolderSelection(seriation.folderSelection ?? {});
+      if (folders.length === 0) {
+        throw new Error("No folders chosen. Pick some in the Seriate popup.");
+      }
+    } else {
+      const mailTabs = await browser.mailTabs.query({});
+      const activeTab = mailTabs.find((t) => t.active) ?? mailTabs[0];
+      if (!activeTab) {
+        throw new Error("No mail tab found.");
+      }
+      const fullTab = await browser.mailTabs.get(activeTab.id);
+      if (!fullTab.displayedFolder) {
+        throw new Error("No folder selected.");
+      }
+      folders = [fullTab.displayedFolder];
     }
+    folderIds = folders.map((f) => f.id);
+    accountNames = new Map((await browser.accounts.list(false)).map((a) => [a.id, a.name]));
+    multipleAccounts = new Set(folders.map((f) => f.accountId)).size > 1;
 
-    const folder = fullTab.displayedFolder;
-    setStatus(`Loading messages from ${folder.name}...`);
-
-    const messages = [];
-    let page = await browser.messages.list(folder.id);
-    messages.push(...page.messages);
-    while (page.id) {
-      page = await browser.messages.continueList(page.id);
-      messages.push(...page.messages);
-    }
+    const messages = await readFolderMessages(folders, (folder) =>
+      setStatus(`Loading messages from ${folder.name}...`)
+    );
 
     if (messages.length === 0) {
       throw new Error("No messages in folder.");
@@ -73,7 +161,11 @@ async function init() {
     setStatus(`Loading embeddings for ${messages.length} messages...`);
 
     const messageIds = messages.map((m) => m.headerMessageId);
-    const embeddingsMap = await getEmbeddings(messageIds);
+    const model = embeddingModelFor(
+      await loadProviderSettings(),
+      await loadChunkingPolicy()
+    );
+    const embeddingsMap = await getEmbeddings(messageIds, model);
 
     const messagesWithEmbeddings = messages.filter((m) =>
       embeddingsMap.has(m.headerMessageId)
@@ -85,49 +177,88 @@ async function init() {
       );
     }
 
-    setStatus(`Running UMAP on ${messagesWithEmbeddings.length} messages...`);
-
-    const embeddingMatrix = messagesWithEmbeddings.map((m) =>
-      embeddingsMap.get(m.headerMessageId)
-    );
+    // Threads are placed by the mean direction of their messages. Their
+    // headers were cached when the folder was seriated by thread.
+    threadPoints = Boolean(seriation.threads);
+    const hybrid = isHybridDistance(seriation.weights);
+    const threadHeaders = threadPoints || hybrid
+      ? await getThreadHeaders(messagesWithEmbeddings.map((m) => m.headerMessageId))
+      : new Map();
+    let groups = messagesWithEmbeddings.map((_, i) => [i]);
+    if (threadPoints) {
+      groups = groupThreads(messagesWithEmbeddings, threadHeaders);
+    }
+    if (groups.length < 2) {
+      throw new Error("Need at least 2 threads with embeddings to project.");
+    }
 
-    // Run UMAP
-    const UMAPClass = UMAP.UMAP ?? UMAP;
-    const umap = new UMAPClass({
-      nNeighbors: Math.min(15, Math.floor(messagesWithEmbeddings.length / 2)),
-      minDist: 0.1,
-      nComponents: 2,
+    const embeddingMatrix = groups.map((group) => {
+      const vectors = group.map((i) => embeddingsMap.get(messagesWithEmbeddings[i].headerMessageId));
+      return vectors.length === 1 ? vectors[0] : Array.from(meanDirection(vectors));
     });
 
-    const projection = await umap.fitAsync(embeddingMatrix);
+    // The seriation's hybrid distance is offered as a metric when it
+    // weights more than the text
+    if (hybrid) {
+      distanceWeights = { ...DEFAULT_DISTANCE_WEIGHTS, ...seriation.weights };
+      layoutMetadata = packMetadata(
+        groups.map((group) => {
+          const m = messagesWithEmbeddings[group[group.length - 1]];
+          const listId = threadHeaders.get(m.headerMessageId)?.listId;
+          return { author: m.author, date: m.date, listId };
+        }),
+        distanceWeights
+      );
+    }
+    layoutBase = {
+      folders: [...folderIds].sort(),
+      model: embeddingModelKey(model),
+      threads: threadPoints,
+    };
+    await loadLayoutSettings(groups.length);
+
+    const topics = await browser.runtime.sendMessage({ action: "getClusters", folderIds });
+    topicLabels = topics?.labels ?? {};
 
     // Compute date range for color mapping
-    const dates = messagesWithEmbeddings.map((m) => new Date(m.date).getTime());
-    minDate = Math.min(...dates);
-    maxDate = Math.max(...dates);
+    minDate = Infinity;
+    maxDate = -Infinity;
+    for (const m of messagesWithEmbeddings) {
+      const time = new Date(m.date).getTime();
+      minDate = Math.min(minDate, time);
+      maxDate = Math.max(maxDate, time);
+    }
 
     // Create points array
-    points = messagesWithEmbeddings.map((message, i) => {
-      const timestamp = new Date(message.date).getTime();
+    points = groups.map((group, i) => {
+      const threadMessages = group.map((index) => messagesWithEmbeddings[index]);
+      const message = threadMessages[threadMessages.length - 1];
       const isArchived = isArchivedEmail(message);
       return {
+        key: threadMessages[0].headerMessageId,
         message,
+        messages: threadMessages,
         embedding: embeddingMatrix[i],
-        x: projection[i][0],
-        y: projection[i][1],
-        color: dateToColor(timestamp),
+        x: 0,
+        y: 0,
+        color: NO_GROUP_COLOR,
+        group: null,
         alpha: isArchived ? 0.25 : 1.0,
         isArchived,
+        cluster: topics?.assignments[message.headerMessageId] ?? 0,
       };
     });
 
-    normalizeCoordinates();
-
-    loadingEl.style.display = "none";
-    setStatus(`${points.length} emails`);
+    tagsByKey = await loadTags();
+    const { viewerColorBy } = await browser.storage.local.get("viewerColorBy");
+    colorBy = COLOR_MODES[viewerColorBy] ? viewerColorBy : "date";
+    colorBySelect.value = colorBy;
+    colorPoints();
 
     resizeCanvas();
-    render();
+    searchInput.disabled = false;
+    setLayoutControlsDisabled(false);
+    await layoutPoints();
   } catch (err) {
     const errorDiv = document.createElement("div");
     errorDiv.style.color = "#dc2626";
@@ -137,10 +268,258 @@ async function init() {
   }
 }
 
+/**
+ * Load the saved UMAP parameters into the header controls. The number of
+ * neighbors is capped by the number of points, and never reaches it.
+ *
+ * @param {number} pointCount
+ */
+async function loadLayoutSettings(pointCount) {
+  const { umapLayout = {} } = await browser.storage.local.get("umapLayout");
+  layoutSettings = { ...DEFAULT_LAYOUT_SETTINGS, ...umapLayout };
+  layoutSettings.nNeighbors = Math.min(
+    Math.max(2, Math.min(layoutSettings.nNeighbors, Math.floor(pointCount / 2))),
+    Math.max(1, pointCount - 1)
+  );
+  metricSelect.querySelector('option[value="hybrid"]').disabled = !layoutMetadata;
+  if (layoutSettings.metric === "hybrid" && !layoutMetadata) layoutSettings.metric = "euclidean";
+
+  nNeighborsInput.max = Math.max(1, pointCount - 1);
+  nNeighborsInput.value = layoutSettings.nNeighbors;
+  minDistInput.value = layoutSettings.minDist;
+  seedInput.value = layoutSettings.seed;
+  metricSelect.value = layoutSettings.metric;
+}
+
+/**
+ * Read the header controls, save them and project again. A layout saved
+ * for the new parameters is reused.
+ */
+async function changeLayoutSettings() {
+  const read = (input, fallback, min, max) => {
+    const value = Number(input.value);
+    const clamped = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    input.value = clamped;
+    return clamped;
+  };
+  layoutSettings = {
+    nNeighbors: Math.round(
+      read(nNeighborsInput, DEFAULT_LAYOUT_SETTINGS.nNeighbors, 2, Number(nNeighborsInput.max))
+    ),
+    minDist: read(minDistInput, DEFAULT_LAYOUT_SETTINGS.minDist, 0, 1),
+    seed: Math.round(read(seedInput, DEFAULT_LAYOUT_SETTINGS.seed, 0, 2 ** 32 - 1)),
+    metric: metricSelect.value,
+  };
+  await browser.storage.local.set({ umapLayout: layoutSettings });
+  await layoutPoints();
+}
+
+/**
+ * Key a layout is saved under: the points' folders, model and grouping,
+ * plus the parameters that shape it.
+ *
+ * @returns {string}
+ */
+function layoutKey() {
+  return JSON.stringify({
+    ...layoutBase,
+    ...layoutSettings,
+    weights: layoutSettings.metric === "hybrid" ? distanceWeights : undefined,
+  });
+}
+
+/**
+ * @param {boolean} disabled
+ */
+function setLayoutControlsDisabled(disabled) {
+  for (const control of [recomputeBtn, nNeighborsInput, minDistInput, seedInput, metricSelect]) {
+    control.disabled = disabled;
+  }
+}
+
+/**
+ * Move points to raw UMAP positions (same order as `laidOut`).
+ *
+ * @param {object[]} laidOut - Points as they were when the layout started
+ * @param {number[][]} positions
+ */
+function placePoints(laidOut, positions) {
+  laidOut.forEach((p, i) => ([p.x, p.y] = positions[i]));
+  normalizeCoordinates();
+  pointsChanged();
+}
+
+/**
+ * Bring everything derived from the points (their positions, which
+ * remain, which match the search and which the legend filter shows) up
+ * to date.
+ */
+function pointsChanged() {
+  const shown = legendFilter === null ? points : points.filter(isShown);
+  pointGrid = new PointGrid(shown);
+  searchMatchPoints = searchMatches ? shown.filter(isSearchMatch) : [];
+  pointsDirty = true;
+  computeTopicCentroids();
+}
+
+/**
+ * Position the points. A saved layout is reused as is; points it lacks
+ * (newly embedded messages) are placed on it with UMAP's transform, so
+ * the rest don't move. Without a usable saved layout, or when asked to
+ * recompute, UMAP is fitted from scratch in a worker, and the points
+ * are drawn as the layout settles. Starting a layout cancels the one in
+ * progress.
+ *
+ * @param {boolean} [recompute] - Ignore the saved layout
+ * @returns {Promise<boolean>} false if cancelled
+ */
+async function layoutPoints(recompute = false) {
+  // Claim the layout before the first await, so that of two quick
+  // changes only the later one goes on to start a worker
+  cancelLayout?.();
+  const generation = ++layoutGeneration;
+  const isCurrent = () => generation === layoutGeneration;
+  const key = layoutKey();
+  const saved = recompute ? undefined : await getLayout(key);
+  if (!isCurrent()) return false;
+  const savedPositions = saved?.positions ?? {};
+  const laidOut = points.slice();
+  const knownIndices = [];
+  laidOut.forEach((p, i) => {
+    if (savedPositions[p.key]) knownIndices.push(i);
+  });
+
+  const finish = () => {
+    loadingEl.style.display = "none";
+    setStatus(defaultStatus());
+    render();
+  };
+  if (knownIndices.length === laidOut.length) {
+    placePoints(laidOut, laidOut.map((p) => savedPositions[p.key]));
+    finish();
+    return true;
+  }
+
+  const transform = knownIndices.length > layoutSettings.nNeighbors;
+  const kind = threadPoints ? "threads" : "messages";
+  setStatus(
+    transform
+      ? `Placing ${laidOut.length - knownIndices.length} new ${kind} on the saved layout...`
+      : `Running UMAP on ${laidOut.length} ${kind}...`
+  );
+
+  const dim = laidOut[0].embedding.length;
+  const vectors = new Float32Array(laidOut.length * dim);
+  laidOut.forEach((p, i) => vectors.set(p.embedding, i * dim));
+
+  const positions = await new Promise((resolve, reject) => {
+    const worker = new Worker("/lib/umap.worker.js");
+    cancelLayout = () => {
+      worker.terminate();
+      cancelLayout = null;
+      resolve(null);
+    };
+    worker.onmessage = (event) => {
+      const { type, epoch, nEpochs, positions, error } = event.data;
+      if (type === "epoch") {
+        if (!isCurrent()) return;
+        loadingEl.style.display = "none";
+        placePoints(laidOut, positions);
+        setStatus(`Laying out ${laidOut.length} ${kind}: epoch ${epoch}/${nEpochs}`);
+        render();
+        return;
+      }
+      worker.terminate();
+      cancelLayout = null;
+      if (type === "done") {
+        resolve(positions);
+      } else {
+        reject(new Error(`Layout failed: ${error}`));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      cancelLayout = null;
+      reject(new Error(`Layout worker crashed: ${event.message}`));
+    };
+    worker.postMessage(
+      {
+        vectors,
+        n: laidOut.length,
+        dim,
+        options: { ...layoutSettings, metadata: layoutMetadata },
+        known: transform
+          ? {
+            indices: knownIndices,
+            positions: knownIndices.map((i) => savedPositions[laidOut[i].key]),
+          }
+          : undefined,
+      },
+      [vectors.buffer]
+    );
+  });
+  if (!positions || !isCurrent()) return false;
+
+  placePoints(laidOut, positions);
+  /** @type {Object<string, number[]>} */
+  const byKey = {};
+  laidOut.forEach((p, i) => (byKey[p.key] = positions[i]));
+  await storeLayout(key, byKey);
+  if (isCurrent()) finish();
+  return true;
+}
+
+/**
+ * Run a layout from the header controls, reporting failures in the
+ * status line.
+ *
+ * @param {() => Promise<unknown>} run
+ */
+async function relayout(run) {
+  try {
+    await run();
+  } catch (err) {
+    console.error("Layout failed:", err);
+    setStatus(err.message);
+  }
+}
+
 function setStatus(text) {
   statusEl.textContent = text;
 }
 
+function defaultStatus() {
+  const messageCount = points.reduce((sum, p) => sum + p.messages.length, 0);
+  const threads = threadPoints ? ` in ${points.length} threads` : "";
+  return folderIds.length > 1
+    ? `${messageCount} emails${threads} from ${folderIds.length} folders`
+    : `${messageCount} emails${threads}`;
+}
+
+/**
+ * Whether any message of a point is a search match.
+ *
+ * @param {object} point
+ * @returns {boolean}
+ */
+function isSearchMatch(point) {
+  return point.messages.some((m) => searchMatches.has(m.headerMessageId));
+}
+
+/**
+ * Where a message lives, e.g. "Inbox" or "Work: Inbox" when folders of
+ * several accounts are shown.
+ *
+ * @param {object} folder - MailFolder
+ * @returns {string}
+ */
+function folderLabel(folder) {
+  if (!folder) return "";
+  return multipleAccounts
+    ? `${accountNames.get(folder.accountId) ?? folder.accountId}: ${folder.name}`
+    : folder.name;
+}
+
 /**
  * Check if email is in an archive folder.
  */
@@ -167,14 +546,12 @@ const MAGMA = [
 ];
 
 /**
- * Map a timestamp to a color using magma colormap (bright=oldest, dark=newest).
+ * Color at a position along the magma colormap.
+ *
+ * @param {number} t - 0 (dark) to 1 (bright)
+ * @returns {number[]} [r, g, b], 0-255
  */
-function dateToColor(timestamp) {
-  if (maxDate === minDate) return "rgb(252, 253, 191)";
-
-  // Normalize: 0 = newest (dark), 1 = oldest (bright)
-  const t = 1 - (timestamp - minDate) / (maxDate - minDate);
-
+function magmaColor(t) {
   // Find which segment we're in
   const idx = t * (MAGMA.length - 1);
   const i = Math.floor(idx);
@@ -187,18 +564,247 @@ function dateToColor(timestamp) {
   const g = Math.round((c0[1] + (c1[1] - c0[1]) * f) * 255);
   const b = Math.round((c0[2] + (c1[2] - c0[2]) * f) * 255);
 
-  return `rgb(${r}, ${g}, ${b})`;
+  return [r, g, b];
+}
+
+// Categorical colors (Tableau 10), given to legend entries by size
+const CATEGORY_PALETTE = [
+  [78, 121, 167], [242, 142, 43], [225, 87, 89], [118, 183, 178], [89, 161, 79],
+  [237, 201, 72], [176, 122, 161], [255, 157, 167], [156, 117, 95], [186, 176, 172],
+];
+// Points in no group, or in a group too small for its own legend entry
+const NO_GROUP_COLOR = [203, 213, 225];
+const OTHER_GROUP = "\u0000other";
+
+/**
+ * How points can be colored. Categorical modes give each point a group,
+ * optionally with a fixed color; continuous modes give a value in [0, 1]
+ * (or null) that is mapped onto the magma ramp.
+ *
+ * @type {Object<string, {group?: (point: object) => {key: string, label: string, color?: number[]}, value?: (point: object) => number | null, ends?: string[]}>}
+ */
+const COLOR_MODES = {
+  date: {
+    // 0 = newest (dark), 1 = oldest (bright)
+    value: (point) =>
+      maxDate === minDate ? 1 : 1 - (new Date(point.message.date) - minDate) / (maxDate - minDate),
+    ends: ["Newest", "Oldest"],
+  },
+  domain: {
+    group: (point) => {
+      const domain = senderDomain(point.message.author);
+      return domain ? { key: domain, label: domain } : { key: "", label: "Unknown sender", color: NO_GROUP_COLOR };
+    },
+  },
+  folder: {
+    group: (point) => ({ key: point.message.folder?.id ?? "", label: folderLabel(point.message.folder) }),
+  },
+  read: {
+    group: (point) =>
+      point.messages.some((m) => !m.read)
+        ? { key: "unread", label: "Unread", color: [37, 99, 235] }
+        : { key: "read", label: "Read", color: NO_GROUP_COLOR },
+  },
+  flagged: {
+    group: (point) =>
+      point.messages.some((m) => m.flagged)
+        ? { key: "flagged", label: "Flagged", color: [220, 38, 38] }
+        : { key: "unflagged", label: "Not flagged", color: NO_GROUP_COLOR },
+  },
+  tags: {
+    group: (point) => {
+      // A point with several tags goes with the first one
+      const key = point.messages.flatMap((m) => m.tags ?? []).find((tag) => tagsByKey.has(tag));
+      if (!key) return { key: "", label: "No tag", color: NO_GROUP_COLOR };
+      const tag = tagsByKey.get(key);
+      return { key, label: tag.name, ...(tag.color && { color: tag.color }) };
+    },
+  },
+  cluster: {
+    group: (point) =>
+      point.cluster
+        ? { key: String(point.cluster), label: topicLabel(point.cluster) }
+        : { key: "0", label: "No topic", color: NO_GROUP_COLOR },
+  },
+  similarity: {
+    value: (point) => {
+      if (!searchScores) return null;
+      const scores = point.messages.map((m) => searchScores.get(m.headerMessageId) ?? -Infinity);
+      return Math.max(...scores);
+    },
+    ends: ["Least similar", "Most similar"],
+  },
+};
+
+/**
+ * Thunderbird's tags, for coloring by tag.
+ *
+ * @returns {Promise<Map<string, {name: string, color: number[] | null}>>}
+ */
+async function loadTags() {
+  try {
+    // messages.tags.list() replaced messages.listTags() in Thunderbird 121
+    const tags = browser.messages.tags
+      ? await browser.messages.tags.list()
+      : await browser.messages.listTags();
+    return new Map(tags.map((tag) => [tag.key, { name: tag.tag, color: parseHexColor(tag.color) }]));
+  } catch (err) {
+    console.warn("Seriate: could not read tags:", err);
+    return new Map();
+  }
+}
+
+/**
+ * @param {string} hex - "#rrggbb"
+ * @returns {number[] | null} [r, g, b]
+ */
+function parseHexColor(hex) {
+  const match = /^#?([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i.exec(hex ?? "");
+  return match ? match.slice(1).map((h) => parseInt(h, 16)) : null;
+}
+
+/**
+ * Color every point by the current mode and rebuild the legend. The
+ * largest groups get legend entries; the rest share "Other".
+ */
+function colorPoints() {
+  const mode = COLOR_MODES[colorBy];
+  legendGroups = [];
+
+  if (mode.value) {
+    const values = points.map((point) => mode.value(point));
+    // Similarities are spread over the range that occurs
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+      if (v === null || !Number.isFinite(v)) continue;
+      min = Math.min(min, v);
+      max = Math.max(max, v);
+    }
+    points.forEach((point, i) => {
+      const v = values[i];
+      point.group = null;
+      point.color = v === null || !Number.isFinite(v)
+        ? NO_GROUP_COLOR
+        : magmaColor(max > min ? (v - min) / (max - min) : 1);
+    });
+  } else {
+    const groups = new Map();
+    for (const point of points) {
+      const group = mode.group(point);
+      point.group = group.key;
+      const entry = groups.get(group.key) ?? { ...group, count: 0 };
+      entry.count++;
+      groups.set(group.key, entry);
+    }
+    const sorted = [...groups.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    const shown = sorted.slice(0, CATEGORY_PALETTE.length);
+    let paletteIndex = 0;
+    for (const entry of shown) {
+      entry.color ??= CATEGORY_PALETTE[paletteIndex++];
+    }
+    legendGroups = shown;
+    const rest = sorted.slice(CATEGORY_PALETTE.length);
+    if (rest.length > 0) {
+      legendGroups.push({
+        key: OTHER_GROUP,
+        label: `Other (${rest.length})`,
+        color: NO_GROUP_COLOR,
+        count: rest.reduce((sum, entry) => sum + entry.count, 0),
+      });
+    }
+    const colors = new Map(shown.map((entry) => [entry.key, entry.color]));
+    for (const point of points) {
+      if (!colors.has(point.group)) point.group = OTHER_GROUP;
+      point.color = colors.get(point.group) ?? NO_GROUP_COLOR;
+    }
+  }
+
+  if (!legendGroups.some((entry) => entry.key === legendFilter)) legendFilter = null;
+  renderLegend();
+  pointsChanged();
+}
+
+/**
+ * Show a gradient for continuous modes, or an entry per group that
+ * filters to it when clicked.
+ */
+function renderLegend() {
+  const mode = COLOR_MODES[colorBy];
+  if (mode.value) {
+    const gradient = document.createElement("div");
+    gradient.id = "legend-gradient";
+    const [low, high] = mode.ends.map((text) => {
+      const span = document.createElement("span");
+      span.textContent = text;
+      return span;
+    });
+    legendEl.replaceChildren(low, gradient, high);
+    return;
+  }
+
+  legendEl.replaceChildren(
+    ...legendGroups.map((entry) => {
+      const button = document.createElement("button");
+      button.classList.toggle("active", legendFilter === entry.key);
+      button.classList.toggle("muted", legendFilter !== null && legendFilter !== entry.key);
+      const swatch = document.createElement("span");
+      swatch.className = "swatch";
+      swatch.style.background = `rgb(${entry.color.join(", ")})`;
+      button.append(swatch, `${entry.label} (${entry.count})`);
+      button.addEventListener("click", () => {
+        legendFilter = legendFilter === entry.key ? null : entry.key;
+        renderLegend();
+        pointsChanged();
+        render();
+      });
+      return button;
+    })
+  );
+}
+
+/**
+ * Whether a point passes the legend filter.
+ *
+ * @param {object} point
+ * @returns {boolean}
+ */
+function isShown(point) {
+  return legendFilter === null || point.group === legendFilter;
+}
+
+/**
+ * Switch the "Color by" mode. Coloring by similarity needs every
+ * message's score, so it searches again when there is a query.
+ */
+async function changeColorBy() {
+  colorBy = colorBySelect.value;
+  legendFilter = null;
+  browser.storage.local.set({ viewerColorBy: colorBy });
+  if (colorBy === "similarity" && searchInput.value.trim()) {
+    await searchPoints(searchInput.value);
+  } else if (colorBy === "similarity") {
+    setStatus("Type a query in the search box to color by similarity to it.");
+  }
+  colorPoints();
+  render();
 }
 
 function normalizeCoordinates() {
   if (points.length === 0) return;
 
-  const xs = points.map((p) => p.x);
-  const ys = points.map((p) => p.y);
-  const minX = Math.min(...xs);
-  const maxX = Math.max(...xs);
-  const minY = Math.min(...ys);
-  const maxY = Math.max(...ys);
+  // A loop rather than Math.min(...xs), which overflows the stack on
+  // large folders
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const p of points) {
+    minX = Math.min(minX, p.x);
+    maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y);
+    maxY = Math.max(maxY, p.y);
+  }
 
   const rangeX = maxX - minX || 1;
   const rangeY = maxY - minY || 1;
@@ -217,6 +823,65 @@ function normalizeCoordinates() {
   }
 }
 
+/**
+ * @param {number} cluster
+ * @returns {string}
+ */
+function topicLabel(cluster) {
+  return topicLabels[cluster] ?? `Topic ${cluster}`;
+}
+
+/**
+ * Place each topic's label at the mean position of its points.
+ */
+function computeTopicCentroids() {
+  const sums = new Map();
+  for (const p of points) {
+    if (!p.cluster) continue;
+    const sum = sums.get(p.cluster) ?? { x: 0, y: 0, count: 0 };
+    sum.x += p.x;
+    sum.y += p.y;
+    sum.count++;
+    sums.set(p.cluster, sum);
+  }
+  topicCentroids = [...sums].map(([cluster, { x, y, count }]) => ({
+    cluster,
+    x: x / count,
+    y: y / count,
+  }));
+}
+
+/**
+ * Ask for a new name for a topic and save it.
+ *
+ * @param {number} cluster
+ */
+async function renameTopic(cluster) {
+  const label = prompt(
+    "Rename topic (leave empty to restore the automatic label):",
+    topicLabel(cluster)
+  );
+  if (label === null) return;
+  try {
+    await browser.runtime.sendMessage({
+      action: "renameCluster",
+      folderIds,
+      clusterId: cluster,
+      label,
+    });
+    const topics = await browser.runtime.sendMessage({ action: "getClusters", folderIds });
+    topicLabels = topics?.labels ?? {};
+    showSidebar(selectedPoints);
+    if (colorBy === "cluster") {
+      colorPoints();
+      render();
+    }
+  } catch (err) {
+    console.error("Rename failed:", err);
+    alert("Failed to rename topic: " + err.message);
+  }
+}
+
 function resizeCanvas() {
   const container = document.getElementById("canvas-container");
   const dpr = window.devicePixelRatio || 1;
@@ -226,6 +891,7 @@ function resizeCanvas() {
   canvas.style.height = container.clientHeight + "px";
   ctx.setTransform(1, 0, 0, 1, 0, 0);
   ctx.scale(dpr, dpr);
+  pointRenderer.resize(container.clientWidth, container.clientHeight, dpr);
 }
 
 function worldToScreen(wx, wy) {
@@ -244,70 +910,160 @@ function screenToWorld(sx, sy) {
   return { x: wx, y: wy };
 }
 
+/**
+ * Hand the points' positions and colors to the renderer. Points outside
+ * the search results are faded, and those the legend filters out hidden.
+ */
+function uploadPoints() {
+  const positions = new Float32Array(points.length * 2);
+  const colors = new Uint8Array(points.length * 4);
+  points.forEach((point, i) => {
+    positions[i * 2] = point.x;
+    positions[i * 2 + 1] = point.y;
+    colors.set(point.color, i * 4);
+    let fade = searchMatches && !isSearchMatch(point) ? 0.15 : 1;
+    if (!isShown(point)) fade = 0;
+    colors[i * 4 + 3] = Math.round(point.alpha * fade * 255);
+  });
+  pointRenderer.setPoints(positions, colors);
+  pointsDirty = false;
+}
+
 function render() {
   const width = canvas.clientWidth;
   const height = canvas.clientHeight;
 
-  ctx.fillStyle = "#e0f0ff";
-  ctx.fillRect(0, 0, width, height);
+  if (pointsDirty) uploadPoints();
+  pointRenderer.draw({ width, height, scale, offsetX, offsetY, radius: POINT_RADIUS });
 
-  // Draw points
-  for (const point of points) {
-    const { x, y } = worldToScreen(point.x, point.y);
+  ctx.clearRect(0, 0, width, height);
+  const onScreen = ({ x, y }, margin) =>
+    x >= -margin && x <= width + margin && y >= -margin && y <= height + margin;
 
-    // Skip if off-screen
-    if (x < -POINT_RADIUS || x > width + POINT_RADIUS ||
-        y < -POINT_RADIUS || y > height + POINT_RADIUS) {
-      continue;
-    }
+  // Outline the selection
+  ctx.strokeStyle = "#000";
+  ctx.lineWidth = 2;
+  for (const point of selectedPoints) {
+    const screen = worldToScreen(point.x, point.y);
+    if (!onScreen(screen, POINT_RADIUS)) continue;
+    ctx.beginPath();
+    ctx.arc(screen.x, screen.y, POINT_RADIUS, 0, Math.PI * 2);
+    ctx.stroke();
+  }
 
+  if (lassoPath) {
     ctx.beginPath();
-    ctx.arc(x, y, POINT_RADIUS, 0, Math.PI * 2);
-    ctx.globalAlpha = point.alpha;
-
-    if (point === hoveredPoint) {
-      ctx.fillStyle = "#000";
-      ctx.globalAlpha = 1;
-    } else if (selectedPoints.includes(point)) {
-      ctx.strokeStyle = "#000";
-      ctx.lineWidth = 2;
-      ctx.fillStyle = point.color;
-      ctx.fill();
-      ctx.stroke();
-      ctx.globalAlpha = 1;
-      continue;
-    } else {
-      ctx.fillStyle = point.color;
-    }
+    lassoPath.forEach(({ x, y }) => ctx.lineTo(x, y));
+    ctx.closePath();
+    ctx.fillStyle = "rgba(37, 99, 235, 0.1)";
     ctx.fill();
+    ctx.strokeStyle = "#2563eb";
+    ctx.stroke();
   }
 
-  ctx.globalAlpha = 1;
-}
+  // Ring search matches, on top of everything else
+  ctx.strokeStyle = "#f97316";
+  for (const point of searchMatchPoints) {
+    const screen = worldToScreen(point.x, point.y);
+    if (!onScreen(screen, POINT_RADIUS + 2)) continue;
+    ctx.beginPath();
+    ctx.arc(screen.x, screen.y, POINT_RADIUS + 2, 0, Math.PI * 2);
+    ctx.stroke();
+  }
 
-function findPointAt(screenX, screenY) {
-  const width = canvas.clientWidth;
-  const height = canvas.clientHeight;
+  if (hoveredPoint) {
+    const screen = worldToScreen(hoveredPoint.x, hoveredPoint.y);
+    ctx.fillStyle = "#000";
+    ctx.beginPath();
+    ctx.arc(screen.x, screen.y, POINT_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+  }
 
-  for (const point of points) {
-    const { x, y } = worldToScreen(point.x, point.y);
-    const dx = screenX - x;
-    const dy = screenY - y;
-    if (dx * dx + dy * dy <= (POINT_RADIUS + 4) ** 2) {
-      return point;
-    }
+  // Topic labels at their centroids, haloed so they stay readable
+  ctx.font = "600 12px system-ui, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.lineJoin = "round";
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.85)";
+  ctx.fillStyle = "#111";
+  for (const centroid of topicCentroids) {
+    const { x, y } = worldToScreen(centroid.x, centroid.y);
+    if (x < 0 || x > width || y < 0 || y > height) continue;
+    const label = topicLabel(centroid.cluster);
+    ctx.strokeText(label, x, y);
+    ctx.fillText(label, x, y);
   }
-  return null;
+}
+
+function findPointAt(screenX, screenY) {
+  const { x, y } = screenToWorld(screenX, screenY);
+  const radius = POINT_RADIUS + 4;
+  return pointGrid.nearest(
+    x,
+    y,
+    radius / (canvas.clientWidth * scale),
+    radius / (canvas.clientHeight * scale)
+  );
 }
 
 function findPointsInRect(x1, y1, x2, y2) {
   // Convert screen coords to world coords
-  const w1 = screenToWorld(Math.min(x1, x2), Math.min(y1, y2));
-  const w2 = screenToWorld(Math.max(x1, x2), Math.max(y1, y2));
+  const w1 = screenToWorld(x1, y1);
+  const w2 = screenToWorld(x2, y2);
+  return pointGrid.inRect(w1.x, w1.y, w2.x, w2.y);
+}
 
-  return points.filter((p) =>
-    p.x >= w1.x && p.x <= w2.x && p.y >= w1.y && p.y <= w2.y
-  );
+function findPointsInLasso(path) {
+  return pointGrid.inPolygon(path.map(({ x, y }) => screenToWorld(x, y)));
+}
+
+/**
+ * The shown points in the same topic as a point, or just the point when
+ * it has none.
+ *
+ * @param {object} point
+ * @returns {object[]}
+ */
+function findTopicPoints(point) {
+  if (!point.cluster) return [point];
+  return points.filter((p) => p.cluster === point.cluster && isShown(p));
+}
+
+/**
+ * Change the running selection and show it in the sidebar. Messages
+ * that were unchecked there stay unchecked when points are added or
+ * removed.
+ *
+ * @param {object[]} found - Points
+ * @param {"replace" | "add" | "remove"} mode
+ */
+function updateSelection(found, mode) {
+  let selected;
+  if (mode === "add") {
+    selected = new Set([...selectedPoints, ...found]);
+  } else if (mode === "remove") {
+    const removed = new Set(found);
+    selected = new Set([...selectedPoints].filter((p) => !removed.has(p)));
+  } else {
+    selected = new Set(found);
+  }
+  if (selected.size === 0) {
+    hideSidebar();
+    return;
+  }
+
+  const unchecked = mode === "replace"
+    ? []
+    : [...emailList.querySelectorAll('input[type="checkbox"]:not(:checked)')].map(
+        (cb) => cb.dataset.messageId
+      );
+  showSidebar(selected);
+  for (const id of unchecked) {
+    const checkbox = emailList.querySelector(`input[data-message-id="${id}"]`);
+    if (checkbox) checkbox.checked = false;
+  }
+  updateArchiveButtonCount();
 }
 
 function showTooltip(point, mouseX, mouseY) {
@@ -315,7 +1071,10 @@ function showTooltip(point, mouseX, mouseY) {
   tooltip.querySelector(".subject").textContent = msg.subject || "(No subject)";
   const dateStr = new Date(msg.date).toLocaleDateString();
   const archivedStr = point.isArchived ? " (Archived)" : "";
-  tooltip.querySelector(".meta").textContent = `${msg.author || "Unknown"} · ${dateStr}${archivedStr}`;
+  const threadStr = point.messages.length > 1 ? ` (${point.messages.length} messages)` : "";
+  tooltip.querySelector(".meta").textContent =
+    `${msg.author || "Unknown"} · ${dateStr} · ${folderLabel(msg.folder)}${threadStr}${archivedStr}`;
+  tooltip.querySelector(".topic").textContent = point.cluster ? topicLabel(point.cluster) : "";
 
   const rect = canvas.getBoundingClientRect();
   let left = mouseX + 15;
@@ -333,14 +1092,19 @@ function hideTooltip() {
   tooltip.classList.remove("visible");
 }
 
+/**
+ * @param {Iterable<object>} selected - Points
+ */
 function showSidebar(selected) {
-  selectedPoints = selected;
-  selectedCountEl.textContent = selected.length;
+  selectedPoints = new Set(selected);
+  // Thread points list every message of their thread
+  const selectedMessages = [...selectedPoints].flatMap((point) => point.messages);
+  selectedCountEl.textContent = selectedMessages.length;
 
   // Build sender summary
   const senderCounts = new Map();
-  for (const point of selected) {
-    const sender = point.message.author || "Unknown";
+  for (const message of selectedMessages) {
+    const sender = message.author || "Unknown";
     senderCounts.set(sender, (senderCounts.get(sender) || 0) + 1);
   }
   // Sort by count descending
@@ -349,45 +1113,61 @@ function showSidebar(selected) {
     .map(([sender, count]) => `${extractName(sender)} (${count})`)
     .join(", ");
 
-  // Sort by date, newest first
-  const sorted = [...selected].sort((a, b) =>
-    new Date(b.message.date) - new Date(a.message.date)
+  // Topics in the selection, largest first; click one to rename it
+  const topicCounts = new Map();
+  for (const point of selectedPoints) {
+    if (point.cluster) {
+      topicCounts.set(point.cluster, (topicCounts.get(point.cluster) || 0) + point.messages.length);
+    }
+  }
+  topicSummary.replaceChildren(
+    ...[...topicCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([cluster, count]) => {
+        const button = document.createElement("button");
+        button.textContent = `${topicLabel(cluster)} (${count})`;
+        button.addEventListener("click", () => renameTopic(cluster));
+        return button;
+      })
   );
 
+  // Sort by date, newest first
+  const sorted = selectedMessages.sort((a, b) => new Date(b.date) - new Date(a.date));
+
   emailList.replaceChildren();
-  for (const point of sorted) {
+  for (const message of sorted) {
     const li = document.createElement("li");
-    li.dataset.messageId = point.message.id;
+    li.dataset.messageId = message.id;
 
     const checkbox = document.createElement("input");
     checkbox.type = "checkbox";
     checkbox.checked = true; // Selected by default
-    checkbox.dataset.messageId = point.message.id;
+    checkbox.dataset.messageId = message.id;
 
     const content = document.createElement("div");
     content.className = "email-content";
 
     const subjectDiv = document.createElement("div");
     subjectDiv.className = "subject";
-    subjectDiv.textContent = point.message.subject || "(No subject)";
+    subjectDiv.textContent = message.subject || "(No subject)";
 
     const metaDiv = document.createElement("div");
     metaDiv.className = "meta";
-    metaDiv.textContent = `${point.message.author || "Unknown"} · ${new Date(point.message.date).toLocaleDateString()}`;
+    metaDiv.textContent = `${message.author || "Unknown"} · ${new Date(message.date).toLocaleDateString()} · ${folderLabel(message.folder)}`;
 
     content.appendChild(subjectDiv);
     content.appendChild(metaDiv);
-    content.addEventListener("click", () => openEmail(point.message));
+    content.addEventListener("click", () => openEmail(message));
 
     const starBtn = document.createElement("button");
-    starBtn.className = "star-btn" + (point.message.flagged ? " starred" : "");
+    starBtn.className = "star-btn" + (message.flagged ? " starred" : "");
     starBtn.textContent = "★";
-    starBtn.title = point.message.flagged ? "Unstar" : "Star";
+    starBtn.title = message.flagged ? "Unstar" : "Star";
     starBtn.addEventListener("click", async (e) => {
       e.stopPropagation();
-      const newFlagged = !point.message.flagged;
-      await browser.messages.update(point.message.id, { flagged: newFlagged });
-      point.message.flagged = newFlagged;
+      const newFlagged = !message.flagged;
+      await browser.messages.update(message.id, { flagged: newFlagged });
+      message.flagged = newFlagged;
       starBtn.classList.toggle("starred", newFlagged);
       starBtn.title = newFlagged ? "Unstar" : "Star";
     });
@@ -416,7 +1196,7 @@ function updateArchiveButtonCount() {
 
 function hideSidebar() {
   sidebar.classList.remove("visible");
-  selectedPoints = [];
+  selectedPoints = new Set();
   render();
 }
 
@@ -432,6 +1212,47 @@ function extractName(author) {
   return author;
 }
 
+/**
+ * Highlight the points closest to a query, or clear the highlight when
+ * the query is empty.
+ *
+ * @param {string} query
+ */
+async function searchPoints(query) {
+  if (!query.trim()) {
+    searchMatches = null;
+    searchScores = null;
+    if (colorBy === "similarity") colorPoints();
+    pointsChanged();
+    setStatus(defaultStatus());
+    render();
+    return;
+  }
+  setStatus("Searching...");
+  try {
+    const { matches } = await browser.runtime.sendMessage({
+      action: "search",
+      query,
+      scope: "folder",
+      folderIds,
+      applyRanks: false,
+      // Coloring by similarity needs every message's score
+      limit: colorBy === "similarity"
+        ? points.reduce((sum, p) => sum + p.messages.length, 0)
+        : SEARCH_HIGHLIGHT_COUNT,
+    });
+    searchMatches = new Set(matches.slice(0, SEARCH_HIGHLIGHT_COUNT).map((m) => m.messageId));
+    searchScores = new Map(matches.map((m) => [m.messageId, m.score]));
+    if (colorBy === "similarity") colorPoints();
+    pointsChanged();
+    setStatus(`${defaultStatus()} · ${searchMatches.size} closest matches highlighted`);
+  } catch (err) {
+    console.error("Search failed:", err);
+    setStatus(`Search failed: ${err.message}`);
+  }
+  render();
+}
+
 async function openEmail(message) {
   try {
     await browser.messageDisplay.open({
@@ -453,7 +1274,9 @@ canvas.addEventListener("mousedown", (e) => {
     // Left click - start selection
     isSelecting = true;
     selectionStart = { x: mouseX, y: mouseY };
+    selectionMode = e.shiftKey ? "add" : e.altKey ? "remove" : "replace";
     selectionRect.style.display = "none";
+    if (selectToolSelect.value === "lasso") lassoPath = [selectionStart];
   } else if (e.button === 2) {
     // Right click - start panning
     isPanning = true;
@@ -478,6 +1301,16 @@ canvas.addEventListener("mousemove", (e) => {
     return;
   }
 
+  if (isSelecting && lassoPath) {
+    // Extend the lasso, skipping moves too small to matter
+    const last = lassoPath[lassoPath.length - 1];
+    if (Math.hypot(mouseX - last.x, mouseY - last.y) > 2) {
+      lassoPath.push({ x: mouseX, y: mouseY });
+      render();
+    }
+    return;
+  }
+
   if (isSelecting && selectionStart) {
     // Draw selection rectangle
     const left = Math.min(selectionStart.x, mouseX);
@@ -525,22 +1358,31 @@ canvas.addEventListener("mouseup", (e) => {
   const mouseX = e.clientX - rect.left;
   const mouseY = e.clientY - rect.top;
 
+  // A lasso usually closes near where it started, so it is judged by the
+  // area its path covers rather than by where it ends
+  const dragArea = lassoPath ?? [selectionStart, { x: mouseX, y: mouseY }];
+  const xs = dragArea.map((p) => p.x);
+  const ys = dragArea.map((p) => p.y);
   const wasActualDrag = selectionStart &&
-    (Math.abs(mouseX - selectionStart.x) > 5 || Math.abs(mouseY - selectionStart.y) > 5);
+    (Math.max(...xs) - Math.min(...xs) > 5 || Math.max(...ys) - Math.min(...ys) > 5);
 
   if (wasActualDrag) {
-    // Complete rectangle selection
-    const selected = findPointsInRect(
-      selectionStart.x, selectionStart.y,
-      mouseX, mouseY
-    );
-    if (selected.length > 0) {
-      showSidebar(selected);
+    // Complete rectangle or lasso selection
+    const selected = lassoPath
+      ? findPointsInLasso(lassoPath)
+      : findPointsInRect(selectionStart.x, selectionStart.y, mouseX, mouseY);
+    // A plain drag over nothing leaves the selection alone
+    if (selected.length > 0 || selectionMode !== "replace") {
+      updateSelection(selected, selectionMode);
     }
   } else {
     // It was a click, not a drag
     const point = findPointAt(mouseX, mouseY);
-    if (point) {
+    if (point && selectToolSelect.value === "topic") {
+      updateSelection(findTopicPoints(point), selectionMode);
+    } else if (point && selectionMode !== "replace") {
+      updateSelection([point], selectionMode);
+    } else if (point) {
       openEmail(point.message);
     }
   }
@@ -548,6 +1390,10 @@ canvas.addEventListener("mouseup", (e) => {
   isSelecting = false;
   selectionStart = null;
   selectionRect.style.display = "none";
+  if (lassoPath) {
+    lassoPath = null;
+    render();
+  }
 });
 
 canvas.addEventListener("mouseleave", () => {
@@ -589,6 +1435,27 @@ canvas.addEventListener("dblclick", () => {
   render();
 });
 
+searchInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") {
+    searchPoints(searchInput.value);
+  } else if (e.key === "Escape") {
+    searchInput.value = "";
+    searchPoints("");
+  }
+});
+
+// The clear button of a search field
+searchInput.addEventListener("search", () => {
+  if (!searchInput.value) searchPoints("");
+});
+
+colorBySelect.addEventListener("change", changeColorBy);
+
+recomputeBtn.addEventListener("click", () => relayout(() => layoutPoints(true)));
+for (const control of [nNeighborsInput, minDistInput, seedInput, metricSelect]) {
+  control.addEventListener("change", () => relayout(changeLayoutSettings));
+}
+
 sidebarCloseBtn.addEventListener("click", hideSidebar);
 
 selectAllBtn.addEventListener("click", () => {
@@ -610,17 +1477,23 @@ archiveBtn.addEventListener("click", async () => {
 
   try {
     await browser.messages.archive(messageIds);
-    // Remove archived items from the list and points
+    // Remove archived items from the list and points; a thread point
+    // goes once all of its messages are archived
+    const archived = new Set(messageIds);
     for (const id of messageIds) {
       const li = emailList.querySelector(`li[data-message-id="${id}"]`);
       if (li) li.remove();
-      const idx = selectedPoints.findIndex(p => p.message.id === id);
-      if (idx !== -1) selectedPoints.splice(idx, 1);
-      const pointIdx = points.findIndex(p => p.message.id === id);
-      if (pointIdx !== -1) points.splice(pointIdx, 1);
     }
-    selectedCountEl.textContent = selectedPoints.length;
+    for (const point of selectedPoints) {
+      point.messages = point.messages.filter((m) => !archived.has(m.id));
+      if (point.messages.length > 0) point.message = point.messages[point.messages.length - 1];
+    }
+    selectedPoints = new Set([...selectedPoints].filter((p) => p.messages.length > 0));
+    points = points.filter((p) => p.messages.length > 0);
+    selectedCountEl.textContent = emailList.children.length;
     updateArchiveButtonCount();
+    // Legend counts change with the points
+    colorPoints();
     render();
   } catch (err) {
     console.error("Archive failed:", err);